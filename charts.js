@@ -0,0 +1,170 @@
+// Cancer Simulator - small canvas charts for the metrics panel (browser only)
+
+const chartPad = {left: 40, right: 40, top: 8, bottom: 22};
+const legendRowHeight = 14;
+
+// legend items ({text, color}; no color = plain text) wrapped onto as many rows as needed; returns the y below the legend
+function drawLegend(ctx, items){
+  const w = ctx.canvas.width;
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.textAlign = 'left'; ctx.textBaseline = 'middle';
+  let lx = chartPad.left, ly = chartPad.top + legendRowHeight/2;
+  for(const item of items){
+    const itemW = 13 + ctx.measureText(item.text).width + 10;
+    if(lx + itemW > w && lx > chartPad.left){ lx = chartPad.left; ly += legendRowHeight; }
+    if(item.color){ ctx.fillStyle = item.color; ctx.fillRect(lx, ly - 2, 10, 3); }
+    ctx.fillStyle = '#333'; ctx.fillText(item.text, lx + 13, ly);
+    lx += itemW;
+  }
+  return ly + legendRowHeight;
+}
+
+// plot history entries as lines over ticks.
+// series: [{label, color, value: entry => number, axis: 'right' (optional), digits: legend decimals (optional)}]
+// opts.markers: ticks drawn as dashed vertical lines; opts.ghost: history of a previous branch, drawn faded
+function drawTimeSeries(ctx, history, series, opts){
+  opts = opts || {};
+  const ghost = opts.ghost || [];
+  const w = ctx.canvas.width, h = ctx.canvas.height;
+  ctx.clearRect(0,0,w,h);
+  ctx.fillStyle = '#fff'; ctx.fillRect(0,0,w,h);
+
+  // legend with the latest values
+  const latest = history[history.length-1];
+  const items = series.map(s => ({text: s.label + (latest ? ' ' + s.value(latest).toFixed(s.digits || 0) : ''), color: s.color}));
+  if(ghost.length) items.push({text: '(faded: previous branch)'});
+  const top = drawLegend(ctx, items);
+
+  const plotW = w - chartPad.left - chartPad.right;
+  const plotH = h - top - chartPad.bottom;
+
+  const firstTick = history.length ? history[0].tick : 0;
+  const lastTick = Math.max(firstTick + 1, history.length ? history[history.length-1].tick : 1, ghost.length ? ghost[ghost.length-1].tick : 0);
+  // left and right axes scale independently
+  const maxY = {left: 1, right: 0};
+  for(const e of history.concat(ghost)) for(const s of series){ const axis = s.axis || 'left'; maxY[axis] = Math.max(maxY[axis], s.value(e)); }
+  if(maxY.right <= 0) maxY.right = 1;
+  const xOf = t => chartPad.left + (t - firstTick) / (lastTick - firstTick) * plotW;
+  const yOf = (v, axis) => top + plotH - v / maxY[axis || 'left'] * plotH;
+  const hasRight = series.some(s => s.axis === 'right');
+
+  // axes and y labels
+  ctx.strokeStyle = '#ccc'; ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(chartPad.left, top); ctx.lineTo(chartPad.left, top + plotH); ctx.lineTo(chartPad.left + plotW, top + plotH); ctx.stroke();
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'right'; ctx.textBaseline = 'middle';
+  ctx.fillText(String(Math.round(maxY.left)), chartPad.left - 4, top);
+  ctx.fillText('0', chartPad.left - 4, top + plotH);
+  if(hasRight){
+    ctx.beginPath(); ctx.moveTo(chartPad.left + plotW, top); ctx.lineTo(chartPad.left + plotW, top + plotH); ctx.stroke();
+    ctx.textAlign = 'left';
+    ctx.fillText(maxY.right.toPrecision(2), chartPad.left + plotW + 4, top);
+    ctx.fillText('0', chartPad.left + plotW + 4, top + plotH);
+  }
+  ctx.textAlign = 'left'; ctx.textBaseline = 'top';
+  ctx.fillText('tick ' + firstTick, chartPad.left, top + plotH + 4);
+  ctx.textAlign = 'right';
+  ctx.fillText('tick ' + lastTick, chartPad.left + plotW, top + plotH + 4);
+
+  // dose markers
+  ctx.save();
+  ctx.setLineDash([4,3]); ctx.strokeStyle = 'rgba(40,120,220,0.6)';
+  for(const t of (opts.markers || [])){
+    if(t < firstTick || t > lastTick) continue;
+    const x = xOf(t);
+    ctx.beginPath(); ctx.moveTo(x, top); ctx.lineTo(x, top + plotH); ctx.stroke();
+  }
+  ctx.restore();
+
+  // lines; skip points that would land on the same pixel column
+  const drawLines = entries => {
+    const stride = Math.max(1, Math.floor(entries.length / plotW));
+    ctx.lineWidth = 1.5;
+    for(const s of series){
+      ctx.strokeStyle = s.color;
+      ctx.beginPath();
+      for(let i=0;i<entries.length;i+=stride){
+        const e = entries[i];
+        if(i===0) ctx.moveTo(xOf(e.tick), yOf(s.value(e), s.axis)); else ctx.lineTo(xOf(e.tick), yOf(s.value(e), s.axis));
+      }
+      if(entries.length) { const e = entries[entries.length-1]; ctx.lineTo(xOf(e.tick), yOf(s.value(e), s.axis)); }
+      ctx.stroke();
+    }
+  };
+  if(ghost.length){
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    drawLines(ghost);
+    ctx.restore();
+  }
+  drawLines(history);
+}
+
+// plot rows (one per x position 1..n, e.g. depth) as stacked bars for series with bar: true and lines for
+// the rest; series as for drawTimeSeries. opts.note is added to the legend as plain text
+function drawProfile(ctx, rows, series, opts){
+  opts = opts || {};
+  const w = ctx.canvas.width, h = ctx.canvas.height;
+  ctx.clearRect(0,0,w,h);
+  ctx.fillStyle = '#fff'; ctx.fillRect(0,0,w,h);
+
+  const items = series.map(s => ({text: s.label, color: s.color}));
+  if(opts.note) items.push({text: opts.note});
+  const top = drawLegend(ctx, items);
+  const plotW = w - chartPad.left - chartPad.right;
+  const plotH = h - top - chartPad.bottom;
+
+  const bars = series.filter(s => s.bar), lines = series.filter(s => !s.bar);
+  const maxY = {left: 0, right: 0};
+  for(const r of rows){
+    maxY.left = Math.max(maxY.left, bars.reduce((a, s) => a + s.value(r), 0));
+    for(const s of lines) maxY[s.axis || 'left'] = Math.max(maxY[s.axis || 'left'], s.value(r));
+  }
+  if(maxY.left <= 0) maxY.left = 1;
+  if(maxY.right <= 0) maxY.right = 1;
+  const slot = plotW / Math.max(1, rows.length);
+  const xOf = i => chartPad.left + (i + 0.5) * slot;
+  const yOf = (v, axis) => top + plotH - v / maxY[axis || 'left'] * plotH;
+  const hasRight = series.some(s => s.axis === 'right');
+
+  // axes and labels
+  ctx.strokeStyle = '#ccc'; ctx.lineWidth = 1;
+  ctx.beginPath(); ctx.moveTo(chartPad.left, top); ctx.lineTo(chartPad.left, top + plotH); ctx.lineTo(chartPad.left + plotW, top + plotH); ctx.stroke();
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'right'; ctx.textBaseline = 'middle';
+  ctx.fillText(maxY.left.toPrecision(2), chartPad.left - 4, top);
+  ctx.fillText('0', chartPad.left - 4, top + plotH);
+  if(hasRight){
+    ctx.beginPath(); ctx.moveTo(chartPad.left + plotW, top); ctx.lineTo(chartPad.left + plotW, top + plotH); ctx.stroke();
+    ctx.textAlign = 'left';
+    ctx.fillText(String(Math.round(maxY.right)), chartPad.left + plotW + 4, top);
+    ctx.fillText('0', chartPad.left + plotW + 4, top + plotH);
+  }
+  ctx.textAlign = 'center'; ctx.textBaseline = 'top';
+  for(let i=0;i<rows.length;i++){
+    if(rows.length > 12 && i % Math.ceil(rows.length / 12) !== 0) continue;
+    ctx.fillText(String(i + 1), xOf(i), top + plotH + 4);
+  }
+  if(rows.length === 0){ ctx.textAlign = 'center'; ctx.textBaseline = 'middle'; ctx.fillText('no tumor', chartPad.left + plotW/2, top + plotH/2); return; }
+
+  // stacked bars
+  for(let i=0;i<rows.length;i++){
+    let base = 0;
+    for(const s of bars){
+      const v = s.value(rows[i]);
+      ctx.fillStyle = s.color;
+      ctx.fillRect(xOf(i) - slot*0.35, yOf(base + v), slot*0.7, yOf(base) - yOf(base + v));
+      base += v;
+    }
+  }
+  // lines
+  ctx.lineWidth = 1.5;
+  for(const s of lines){
+    ctx.strokeStyle = s.color;
+    ctx.beginPath();
+    for(let i=0;i<rows.length;i++){
+      if(i===0) ctx.moveTo(xOf(i), yOf(s.value(rows[i]), s.axis)); else ctx.lineTo(xOf(i), yOf(s.value(rows[i]), s.axis));
+    }
+    ctx.stroke();
+  }
+}
@@ -1,423 +1,679 @@
-// Cancer Simulator - basic implementation
-// Canvas grid where cancer cells can appear and grow based on neighbors.
-// Right half of the canvas is a blood vessel where drug particles flow.
+// Cancer Simulator - view layer
+// Draws a Simulation (simulation.js) onto the canvas and wires the sidebar controls to it.
+// Blood vessels (by default one on the right side of the canvas) carry the drug particles.
 
 const canvas = document.getElementById('simCanvas');
 const ctx = canvas.getContext('2d');
+const metricsCanvas = document.getElementById('metricsCanvas');
+const metricsCtx = metricsCanvas.getContext('2d');
+const pkCanvas = document.getElementById('pkCanvas');
+const pkCtx = pkCanvas.getContext('2d');
+const cloneCanvas = document.getElementById('cloneCanvas');
+const cloneCtx = cloneCanvas.getContext('2d');
+const depthCanvas = document.getElementById('depthCanvas');
+const depthCtx = depthCanvas.getContext('2d');
 
+const resetBtn = document.getElementById('resetBtn');
 const runBtn = document.getElementById('runBtn');
-const stopBtn = document.getElementById('stopBtn');
+const stepBtn = document.getElementById('stepBtn');
 const doseBtn = document.getElementById('doseBtn');
+const speedInput = document.getElementById('speed');
+const speedVal = document.getElementById('speedVal');
+const timelineInput = document.getElementById('timeline');
+const timelineVal = document.getElementById('timelineVal');
+const resetError = document.getElementById('resetError');
 
 const startAmount = document.getElementById('startAmount');
-const growthRate = document.getElementById('growthRate');
+const doublingTime = document.getElementById('doublingTime');
 const drugAmount = document.getElementById('drugAmount');
 
 const startAmountVal = document.getElementById('startAmountVal');
-const growthRateVal = document.getElementById('growthRateVal');
+const doublingTimeVal = document.getElementById('doublingTimeVal');
 const drugAmountVal = document.getElementById('drugAmountVal');
 
-// grid settings
-const spacing = 18; // distance between cell centers (larger spacing -> larger visual cells / smaller-scale scene)
-const cols = Math.floor(canvas.width / spacing);
-const rows = Math.floor(canvas.height / spacing);
-// move vessel slightly to the right and make it narrower
-const vesselX = Math.floor(canvas.width * 0.62); // base x for vessel centerline (we will offset per-y)
-
-// vessel shape parameters (diagonal + curvature)
-const vesselParams = {
-  slope: 0.18,       // diagonal tilt (positive moves boundary to the right towards bottom)
-  amplitude: 26,     // sinusoidal amplitude (reduced for less squiggle)
-  freq: 0.010,       // frequency of curvature (reduced for gentler curves)
-  phase: Math.random()*Math.PI*2,
-};
+const scheduleType = document.getElementById('scheduleType');
+const scheduleStart = document.getElementById('scheduleStart');
+const scheduleEvery = document.getElementById('scheduleEvery');
+const scheduleCount = document.getElementById('scheduleCount');
+const scheduleAmount = document.getElementById('scheduleAmount');
+const scheduleLoading = document.getElementById('scheduleLoading');
+const scheduleMaintenance = document.getElementById('scheduleMaintenance');
+const scheduleList = document.getElementById('scheduleList');
+const scheduleError = document.getElementById('scheduleError');
+
+const pkModel = document.getElementById('pkModel');
+const pkInfusionRate = document.getElementById('pkInfusionRate');
+const pkVolume = document.getElementById('pkVolume');
+const pkClearance = document.getElementById('pkClearance');
+const pkPeripheralVolume = document.getElementById('pkPeripheralVolume');
+const pkQ = document.getElementById('pkQ');
+const pkInfo = document.getElementById('pkInfo');
+
+const antigenPattern = document.getElementById('antigenPattern');
+const antigenClusterScale = document.getElementById('antigenClusterScale');
+const antigenMeanA = document.getElementById('antigenMeanA');
+const antigenSdA = document.getElementById('antigenSdA');
+const antigenMeanB = document.getElementById('antigenMeanB');
+const antigenSdB = document.getElementById('antigenSdB');
+const antigenNegative = document.getElementById('antigenNegative');
+const antigenError = document.getElementById('antigenError');
+
+const drugPreset = document.getElementById('drugPreset');
+const drugJson = document.getElementById('drugJson');
+const drugError = document.getElementById('drugError');
+const drugDoses = document.getElementById('drugDoses');
+const drugAmountName = document.getElementById('drugAmountName');
+const vesselPreset = document.getElementById('vesselPreset');
+const vesselJson = document.getElementById('vesselJson');
+const vesselError = document.getElementById('vesselError');
+
+const oxygenDiffusion = document.getElementById('oxygenDiffusion');
+const oxygenPerfusion = document.getElementById('oxygenPerfusion');
+const oxygenHealthyConsumption = document.getElementById('oxygenHealthyConsumption');
+const oxygenCancerConsumption = document.getElementById('oxygenCancerConsumption');
+const oxygenHypoxia = document.getElementById('oxygenHypoxia');
+const oxygenNecrosis = document.getElementById('oxygenNecrosis');
+const oxygenNecrosisRate = document.getElementById('oxygenNecrosisRate');
+const oxygenError = document.getElementById('oxygenError');
+const extravasationWall = document.getElementById('extravasationWall');
+const extravasationTumor = document.getElementById('extravasationTumor');
+const extravasationRange = document.getElementById('extravasationRange');
+const extravasationError = document.getElementById('extravasationError');
+const transportMode = document.getElementById('transportMode');
+const transportDiffusivity = document.getElementById('transportDiffusivity');
+const transportLifetime = document.getElementById('transportLifetime');
+const transportFlow = document.getElementById('transportFlow');
+const transportPressure = document.getElementById('transportPressure');
+const transportError = document.getElementById('transportError');
+const immuneEnabled = document.getElementById('immuneEnabled');
+const immuneCheckpoint = document.getElementById('immuneCheckpoint');
+const immuneBaseRecruitment = document.getElementById('immuneBaseRecruitment');
+const immuneRecruitmentPerSignal = document.getElementById('immuneRecruitmentPerSignal');
+const immuneIcdStrength = document.getElementById('immuneIcdStrength');
+const immuneSignalDecay = document.getElementById('immuneSignalDecay');
+const immuneMacrophageShare = document.getElementById('immuneMacrophageShare');
+const immuneMaxCells = document.getElementById('immuneMaxCells');
+const immuneTcellKill = document.getElementById('immuneTcellKill');
+const immuneMacrophageKill = document.getElementById('immuneMacrophageKill');
+const immunePdl1 = document.getElementById('immunePdl1');
+const immuneAttackInterval = document.getElementById('immuneAttackInterval');
+const immuneTcellSpeed = document.getElementById('immuneTcellSpeed');
+const immuneMacrophageSpeed = document.getElementById('immuneMacrophageSpeed');
+const immuneLifetime = document.getElementById('immuneLifetime');
+const immuneError = document.getElementById('immuneError');
+const angioThreshold = document.getElementById('angioThreshold');
+const angioSproutRate = document.getElementById('angioSproutRate');
+const angioGrowthSpeed = document.getElementById('angioGrowthSpeed');
+const angioRadius = document.getElementById('angioRadius');
+const angioMaxSprouts = document.getElementById('angioMaxSprouts');
+const angioMaxLength = document.getElementById('angioMaxLength');
+const angioInhibition = document.getElementById('angioInhibition');
+const angioError = document.getElementById('angioError');
+
+const cycleVariability = document.getElementById('cycleVariability');
+const cycleDividingFraction = document.getElementById('cycleDividingFraction');
+const cycleDividingSensitivity = document.getElementById('cycleDividingSensitivity');
+const cycleError = document.getElementById('cycleError');
+
+const evolutionMutation = document.getElementById('evolutionMutation');
+const evolutionAntigenShift = document.getElementById('evolutionAntigenShift');
+const evolutionSensitivityShift = document.getElementById('evolutionSensitivityShift');
+const evolutionError = document.getElementById('evolutionError');
 
-// particle motion tuning and helpers
-// increase speeds so drug travels faster
-const vesselSpeedBase = 3.2; // base speed for particles moving inside vessel (increased)
-const leechSpeedBase = 2.4;   // base speed when particle leeches into muscle (increased)
+const bindingDesign = document.getElementById('bindingDesign');
+const bindingAffinityA = document.getElementById('bindingAffinityA');
+const bindingAffinityB = document.getElementById('bindingAffinityB');
+const bindingReceptors = document.getElementById('bindingReceptors');
+const bindingOffRate = document.getElementById('bindingOffRate');
+const bindingAvidity = document.getElementById('bindingAvidity');
+const bindingInternalize = document.getElementById('bindingInternalize');
+const bindingRelease = document.getElementById('bindingRelease');
+const bindingInfo = document.getElementById('bindingInfo');
+const bindingError = document.getElementById('bindingError');
+const payloadDar = document.getElementById('payloadDar');
+const payloadEscape = document.getElementById('payloadEscape');
+const payloadEc50 = document.getElementById('payloadEc50');
+const payloadHill = document.getElementById('payloadHill');
+const payloadMaxKill = document.getElementById('payloadMaxKill');
+const payloadPermeability = document.getElementById('payloadPermeability');
+const payloadFieldDecay = document.getElementById('payloadFieldDecay');
+const payloadUptake = document.getElementById('payloadUptake');
+const payloadHealthyUptake = document.getElementById('payloadHealthyUptake');
+const payloadEfflux = document.getElementById('payloadEfflux');
+const payloadHealthyEc50 = document.getElementById('payloadHealthyEc50');
+const payloadHealthyRepair = document.getElementById('payloadHealthyRepair');
+const payloadDecay = document.getElementById('payloadDecay');
+const payloadError = document.getElementById('payloadError');
+
+const overlaySelect = document.getElementById('overlay');
+
+const seedInput = document.getElementById('seed');
+const scenarioSnapshot = document.getElementById('scenarioSnapshot');
+const saveScenarioBtn = document.getElementById('saveScenarioBtn');
+const loadScenarioBtn = document.getElementById('loadScenarioBtn');
+const scenarioFile = document.getElementById('scenarioFile');
+const scenarioError = document.getElementById('scenarioError');
+const runInfo = document.getElementById('runInfo');
+const killSummary = document.getElementById('killSummary');
+const deliverySummary = document.getElementById('deliverySummary');
+const exportKillsBtn = document.getElementById('exportKillsBtn');
 
 // images for compound and Y (use provided images in the Images/ folder)
 const imgCompound = new Image(); imgCompound.src = 'Images/BsADC Compound.png';
 const imgY = new Image(); imgY.src = 'Images/Cytotoxic Drug.png';
 
-function vesselTangentDerivative(y){
-  // derivative dx/dy of vesselBoundaryX at y (analytical)
-  return vesselParams.slope + vesselParams.amplitude * vesselParams.freq * Math.cos(vesselParams.freq * y + vesselParams.phase);
+let sim = null;
+let running = false;
+let frameRequest = null;
+let lastFrameTime = null;
+let tickDebt = 0;     // ticks owed at the current speed, carried over between animation frames
+const MAX_TICKS_PER_FRAME = 10; // a model slower than the speed setting falls behind instead of freezing the page
+
+// model config from the current sidebar values; a blank seed field picks a fresh seed
+function readConfig(){
+  const text = seedInput.value.trim();
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    startAmount: Number(startAmount.value),
+    drugAmount: Number(drugAmount.value),
+    seed: text ? parseSeed(text) : Math.floor(Math.random() * 4294967296),
+    schedule: checkedSchedule(),
+    pk: checkedPK(),
+    antigen: checkedAntigen(),
+    binding: checkedBinding(),
+    payload: checkedPayload(),
+    evolution: checkedEvolution(),
+    cycle: checkedCycle(),
+    oxygen: checkedOxygen(),
+    vessels: checkedVessels(),
+    extravasation: checkedExtravasation(),
+    transport: checkedTransport(),
+    immune: checkedImmune(),
+    drugs: checkedDrugs(),
+    angiogenesis: checkedAngiogenesis(),
+  };
 }
 
-function normalized(vx, vy){
-  const m = Math.hypot(vx, vy) || 1;
-  return {x: vx/m, y: vy/m};
+// the preset whose normalized form equals value, or 'custom'
+function matchingPreset(presets, normalize, value){
+  const json = JSON.stringify(value);
+  return Object.keys(presets).find(name => JSON.stringify(normalize(presets[name])) === json) || 'custom';
 }
 
-let cells = [];
-let particles = [];
-let running = false;
-let tickInterval = null;
+// put a (normalized) model config back into the sidebar, e.g. after loading a scenario; the inverse of readConfig()
+function writeControls(config){
+  const set = (el, v) => { if(v !== undefined && v !== null) el.value = String(v); };
+  const percent = v => Number((v * 100).toPrecision(12));
+  set(startAmount, config.startAmount);
+  set(drugAmount, config.drugAmount);
+  set(seedInput, config.seed);
 
-function stepSimulation(){
-  // growth
-  const newStates = new Array(cells.length).fill(0);
-  for(let i=0;i<cells.length;i++){
-    const c = cells[i];
-    // existing cancer persists
-    if(c.state===1){ newStates[i]=1; newStates[i+'_size']=c.size; continue; }
-    // skip growth inside vessel
-    if(isInVesselXY(c.x, c.y)) continue;
-    const neigh = neighborsCount(i);
-    if(neigh>0){
-      // slow down cancer growth significantly
-      const g = Number(growthRate.value) / 15000.0; // much smaller growth per neighbor
-      const prob = 1 - Math.pow(1-g, neigh);
-      if(Math.random() < prob){ newStates[i]=1; }
-    }
+  const schedule = config.schedule;
+  scheduleType.value = schedule ? schedule.type : 'manual';
+  if(schedule && schedule.type === 'list'){
+    scheduleList.value = schedule.doses.map(d => d.tick + ':' + d.amount).join(', ');
+  } else if(schedule){
+    set(scheduleStart, schedule.start); set(scheduleEvery, schedule.every); set(scheduleCount, schedule.count);
+    set(scheduleAmount, schedule.amount); set(scheduleLoading, schedule.loadingAmount); set(scheduleMaintenance, schedule.maintenanceAmount);
   }
-  // apply
-  for(let i=0;i<cells.length;i++){
-    if(newStates[i]===1 && cells[i].state===0){
-      cells[i].state = 1; cells[i].size = 6 + Math.random()*10; // larger default size for grown cells
-    }
+
+  const pk = config.pk;
+  set(pkModel, pk.model); set(pkInfusionRate, pk.infusionRate); set(pkVolume, pk.volume); set(pkClearance, pk.clearance);
+  set(pkPeripheralVolume, pk.peripheralVolume); set(pkQ, pk.interCompartmentClearance);
+
+  const ag = config.antigen;
+  set(antigenPattern, ag.pattern); set(antigenClusterScale, ag.clusterScale);
+  set(antigenMeanA, ag.meanA); set(antigenSdA, ag.sdA); set(antigenMeanB, ag.meanB); set(antigenSdB, ag.sdB);
+  set(antigenNegative, percent(ag.negativeFraction));
+
+  const b = config.binding;
+  bindingDesign.value = b.affinityA === 0 ? 'monoB' : (b.affinityB === 0 ? 'monoA' : 'bispecific');
+  if(b.affinityA > 0) set(bindingAffinityA, b.affinityA);
+  if(b.affinityB > 0) set(bindingAffinityB, b.affinityB);
+  set(bindingReceptors, b.receptorsPerCell); set(bindingOffRate, b.offRate); set(bindingAvidity, b.avidityFactor);
+  set(bindingInternalize, b.internalizeTicks); set(bindingRelease, b.releaseTicks);
+
+  const pl = config.payload;
+  set(payloadDar, pl.dar); set(payloadEscape, pl.escapeFraction); set(payloadEc50, pl.ec50); set(payloadHill, pl.hill);
+  set(payloadMaxKill, pl.maxKill); set(payloadPermeability, pl.permeability); set(payloadFieldDecay, pl.fieldDecay);
+  set(payloadUptake, pl.uptakeRate); set(payloadHealthyUptake, pl.healthyUptakeRate); set(payloadEfflux, pl.effluxRate);
+  set(payloadHealthyEc50, pl.healthyEc50); set(payloadHealthyRepair, pl.healthyRepair); set(payloadDecay, pl.decay);
+
+  set(evolutionMutation, percent(config.evolution.mutationRate));
+  set(evolutionAntigenShift, config.evolution.antigenShift); set(evolutionSensitivityShift, config.evolution.sensitivityShift);
+
+  const cy = config.cycle;
+  set(doublingTime, cy.doublingTime); set(cycleVariability, cy.variability);
+  set(cycleDividingFraction, cy.dividingFraction); set(cycleDividingSensitivity, cy.dividingSensitivity);
+
+  const o = config.oxygen;
+  set(oxygenDiffusion, o.diffusion); set(oxygenPerfusion, o.perfusion); set(oxygenHealthyConsumption, o.healthyConsumption);
+  set(oxygenCancerConsumption, o.cancerConsumption); set(oxygenHypoxia, o.hypoxiaThreshold); set(oxygenNecrosis, o.necrosisThreshold);
+  set(oxygenNecrosisRate, o.necrosisRate);
+
+  const ang = config.angiogenesis;
+  set(angioThreshold, ang.threshold); set(angioSproutRate, ang.sproutRate); set(angioGrowthSpeed, ang.growthSpeed); set(angioRadius, ang.radius);
+  set(angioMaxSprouts, ang.maxSprouts); set(angioMaxLength, ang.maxLength); set(angioInhibition, ang.inhibition);
+
+  const ex = config.extravasation;
+  set(extravasationWall, ex.wallPermeability); set(extravasationTumor, ex.tumorPermeability); set(extravasationRange, ex.eprRange);
+
+  const tr = config.transport;
+  set(transportMode, tr.mode); set(transportDiffusivity, tr.diffusivity); set(transportLifetime, tr.lifetime);
+  set(transportFlow, tr.flowSpeed); set(transportPressure, tr.tumorPressure);
+
+  const im = config.immune;
+  immuneEnabled.checked = im.enabled; immuneCheckpoint.checked = im.checkpointInhibitor;
+  set(immuneBaseRecruitment, im.baseRecruitment); set(immuneRecruitmentPerSignal, im.recruitmentPerSignal); set(immuneIcdStrength, im.icdStrength);
+  set(immuneSignalDecay, im.signalDecay); set(immuneMacrophageShare, im.macrophageShare); set(immuneMaxCells, im.maxCells);
+  set(immuneTcellKill, im.tcellKill); set(immuneMacrophageKill, im.macrophageKill); set(immunePdl1, im.pdl1Suppression);
+  set(immuneAttackInterval, im.attackInterval); set(immuneTcellSpeed, im.tcellSpeed); set(immuneMacrophageSpeed, im.macrophageSpeed);
+  set(immuneLifetime, im.lifetime);
+
+  // layouts and regimens that are not a preset open as custom JSON
+  vesselPreset.value = lastVesselPreset = matchingPreset(VESSEL_PRESETS, normalizeVessels, config.vessels);
+  if(vesselPreset.value === 'custom') vesselJson.value = JSON.stringify(config.vessels, null, 1).replace(/\[\s+(-?[\d.]+),\s+(-?[\d.]+)\s+\]/g, '[$1, $2]');
+  drugPreset.value = lastDrugPreset = matchingPreset(DRUG_PRESETS, normalizeDrugs, config.drugs);
+  if(drugPreset.value === 'custom') drugJson.value = JSON.stringify(config.drugs, null, 1);
+
+  updateScheduleFields();
+  updatePKFields();
+  updateAntigenFields();
+  updateVesselFields();
+  updateTransportFields();
+  updateDrugFields();
+  updateSliderLabels();
+  // re-validate so stale errors from earlier edits disappear
+  readConfig();
+}
+
+// error elements of the sidebar sections whose input is invalid; no run starts while there are any
+const invalidSections = new Set();
+
+// one sidebar section through its normalize function: read() collects the raw values (and may throw too, e.g.
+// on bad JSON); the problem goes to errorEl and the section comes back null until it is fixed
+function checked(normalize, read, errorEl){
+  try {
+    const value = normalize(read());
+    errorEl.textContent = '';
+    invalidSections.delete(errorEl);
+    if(invalidSections.size === 0) resetError.textContent = '';
+    return value;
+  } catch(err){
+    errorEl.textContent = err.message;
+    invalidSections.add(errorEl);
+    return null;
   }
+}
 
-  // move drug particles and handle interactions. Collect newly spawned particles separately to avoid modifying array while iterating.
-  const spawned = [];
-  for(let i=0;i<particles.length;i++){
-    const part = particles[i];
-
-    // age and TTL
-    part.ttl = (part.ttl === undefined) ? 300 : part.ttl - 1;
-    if(part.ttl <= 0){ part.dead = true; continue; }
-
-    // Ensure Y particles head directly to their assigned tumor target (no wandering)
-    if(part.type === 'Y' && part.targetIdx !== undefined && !part.idle){
-      const tgt = cells[part.targetIdx];
-      if(tgt && tgt.state===1){
-        const dirTo = normalized(tgt.x - part.x, tgt.y - part.y);
-        const speed = leechSpeedBase * (1 + Number(drugAmount.value)/120);
-        part.vx = dirTo.x * speed;
-        part.vy = dirTo.y * speed;
-      } else {
-        // target gone: become idle and stop moving
-        part.idle = true; part.vx = 0; part.vy = 0;
-      }
-    }
+// drug regimen from the preset or the custom JSON list; used when a run starts
+function checkedDrugs(){
+  return checked(normalizeDrugs,
+    () => drugPreset.value === 'custom' ? JSON.parse(drugJson.value) : DRUG_PRESETS[drugPreset.value], drugError);
+}
 
-    // Ensure compound particles that have leached head directly to their assigned tumor (no avoidance)
-    if(part.type === 'compound' && part.leached && part.targetIdx !== undefined && !part.idle){
-      const tgt = cells[part.targetIdx];
-      if(tgt && tgt.state===1){
-        const dirTo = normalized(tgt.x - part.x, tgt.y - part.y);
-        const speed = leechSpeedBase * (1 + Number(drugAmount.value)/120);
-        part.vx = dirTo.x * speed;
-        part.vy = dirTo.y * speed;
-      } else {
-        // target died: try to pick a new nearest tumor, otherwise become idle
-        let bestIdx = -1, bestD = 1e9;
-        for(let ti=0; ti<cells.length; ti++){
-          const t = cells[ti]; if(t.state!==1) continue;
-          const d = Math.hypot(t.x - part.x, t.y - part.y);
-          if(d < bestD){ bestD = d; bestIdx = ti; }
-        }
-        if(bestIdx >= 0){ part.targetIdx = bestIdx; }
-        else { part.idle = true; part.vx = 0; part.vy = 0; }
-      }
-    }
+let lastDrugPreset = drugPreset.value;
 
-    // Update position
-    part.x += part.vx; part.y += part.vy;
-
-    // If particle is still inside vessel, keep it following vessel flow direction (tangent)
-    if(!part.leached){
-      const boundaryX = vesselBoundaryX(part.y);
-      if(part.x <= boundaryX){
-        // convert to leached state. Preferentially head toward assigned tumor target if available
-        part.leached = true;
-        const speed = leechSpeedBase * (1 + Number(drugAmount.value)/120);
-        if(part.type === 'compound' && part.targetIdx !== undefined){
-          const tgt = cells[part.targetIdx];
-          if(tgt && tgt.state===1){
-            const dirTo = normalized(tgt.x - part.x, tgt.y - part.y);
-            part.vx = dirTo.x * speed;
-            part.vy = dirTo.y * speed;
-          } else {
-            // fallback: push perpendicular into muscle
-            const dxdy = vesselTangentDerivative(part.y);
-            let nx = -1, ny = dxdy;
-            const nn = normalized(nx, ny);
-            if(nn.x > 0){ nn.x = -nn.x; nn.y = -nn.y; }
-            part.vx = nn.x * speed;
-            part.vy = nn.y * speed;
-          }
-        } else {
-          // non-targeted particles: push perpendicular into muscle
-          const dxdy = vesselTangentDerivative(part.y);
-          let nx = -1, ny = dxdy;
-          const nn = normalized(nx, ny);
-          if(nn.x > 0){ nn.x = -nn.x; nn.y = -nn.y; }
-          part.vx = nn.x * speed;
-          part.vy = nn.y * speed;
-        }
-      } else {
-        // re-align velocity to follow vessel tangent (helps when vessel curves)
-        const dxdy = vesselTangentDerivative(part.y);
-        const dir = normalized(-1, -dxdy);
-        // if this particle is targeting tumor, slightly adjust velocity toward target
-        if(part.type === 'compound' && part.targetIdx !== undefined){
-          const tgt = cells[part.targetIdx];
-          if(tgt){
-            const toTx = tgt.x - part.x; const toTy = tgt.y - part.y;
-            const tdir = normalized(toTx, toTy);
-            // use a straightforward mix: alpha controls target influence (higher alpha -> more direct targeting)
-            const alpha = (part.steerAggression !== undefined) ? part.steerAggression : 0.9;
-            const mixX = dir.x * (1 - alpha) + tdir.x * alpha;
-            const mixY = dir.y * (1 - alpha) + tdir.y * alpha;
-            const nd = normalized(mixX, mixY);
-            const speed = vesselSpeedBase * (1 + Number(drugAmount.value)/80) * (1 + (alpha-0.5)*0.4);
-            part.vx = nd.x * speed;
-            part.vy = nd.y * speed;
-          } else {
-            const speed = vesselSpeedBase * (1 + Number(drugAmount.value)/80);
-            part.vx = dir.x * speed;
-            part.vy = dir.y * speed;
-          }
-        } else {
-          const speed = vesselSpeedBase * (1 + Number(drugAmount.value)/80);
-          part.vx = dir.x * speed;
-          part.vy = dir.y * speed;
-        }
-      }
-    }
+// switching to custom starts from the preset that was selected before, written out in full
+function updateDrugFields(){
+  if(drugPreset.value === 'custom' && lastDrugPreset !== 'custom'){
+    drugJson.value = JSON.stringify(normalizeDrugs(DRUG_PRESETS[lastDrugPreset]), null, 1);
+  }
+  lastDrugPreset = drugPreset.value;
+  for(const el of document.querySelectorAll('.drug-fields')){
+    el.hidden = el.dataset.drugs !== drugPreset.value;
+  }
+}
 
-    // Interaction: if compound in muscle contacts a cancer cell -> split into 4 Y particles inside that cell
-    if(part.type === 'compound' && part.leached){
-      for(let cIdx=0; cIdx<cells.length; cIdx++){
-        const c = cells[cIdx];
-        if(c.state===1){
-          const d = Math.hypot(c.x - part.x, c.y - part.y);
-          if(d <= c.size + 9){
-            // kill the contacted cell immediately
-            c.state = 0; c.size = 0;
-            // Determine neighboring tumor cells for this cell
-            const neighborTumors = neighborTumorIndicesForCellIdx(cIdx);
-            // spawn exactly 4 Y particles and preferentially target adjacent tumors (leech into neighbors)
-            // distribute targets across neighbors when possible
-            for(let k=0;k<4;k++){
-              const rx = c.x + (Math.random()-0.5) * c.size * 0.45;
-              const ry = c.y + (Math.random()-0.5) * c.size * 0.45;
-              const sp = 0.9 + Math.random()*0.4;
-              if(neighborTumors.length > 0){
-                // pick neighbor in round-robin to spread Ys across adjacent cells
-                const tIdx = neighborTumors[k % neighborTumors.length];
-                const t = cells[tIdx];
-                // if that neighbor is a tumor, kill it immediately upon Y appearance
-                if(t && t.state === 1){
-                  t.state = 0; t.size = 0;
-                  // 30% chance to additionally kill one of its neighbors immediately
-                  const nextNeighbors = neighborTumorIndicesForCellIdx(tIdx);
-                  if(nextNeighbors.length > 0 && Math.random() < 0.30){
-                    const pick = nextNeighbors[Math.floor(Math.random()*nextNeighbors.length)];
-                    if(cells[pick] && cells[pick].state === 1){ cells[pick].state = 0; cells[pick].size = 0; }
-                  }
-                  // spawn a short-lived visual Y at that neighbor location
-                  spawned.push({x: t.x + (Math.random()-0.5)*t.size*0.4, y: t.y + (Math.random()-0.5)*t.size*0.4, vx:0, vy:0, type:'Y', ttl:80, leached:true, idle:true, parentIdx: cIdx});
-                } else {
-                  const dir = normalized(t.x - rx, t.y - ry);
-                  spawned.push({x:rx, y:ry, vx: dir.x * sp, vy: dir.y * sp, type:'Y', ttl:220, leached:true, targetIdx: tIdx, parentIdx: cIdx});
-                }
-              } else {
-                // no adjacent tumors: do not leech into muscle — fallback to nearest tumor if any
-                let bestIdx = -1, bestD = 1e9;
-                for(let ti=0; ti<cells.length; ti++){
-                  const tt = cells[ti]; if(tt.state!==1) continue;
-                  const d = Math.hypot(tt.x - rx, tt.y - ry);
-                  if(d < bestD){ bestD = d; bestIdx = ti; }
-                }
-                if(bestIdx >= 0){
-                  const t = cells[bestIdx];
-                  const dir = normalized(t.x - rx, t.y - ry);
-                  spawned.push({x:rx, y:ry, vx: dir.x * sp, vy: dir.y * sp, type:'Y', ttl:220, leached:true, targetIdx: bestIdx, parentIdx: cIdx});
-                } else {
-                  // no tumor anywhere: Y stays inside cell and decays
-                  spawned.push({x:rx, y:ry, vx:0, vy:0, type:'Y', ttl:80, leached:true, idle:true, parentIdx: cIdx});
-                }
-              }
-            }
-            part.dead = true;
-            break;
-          }
-        }
-      }
+// a dose amount and Give button for every drug after the first (the first uses the slider and Give Dose)
+function buildDrugDoseControls(){
+  drugAmountName.textContent = sim.drugs[0].name;
+  drugDoses.textContent = '';
+  sim.drugs.forEach((drug, i) => {
+    if(i === 0) return;
+    const amount = document.createElement('input');
+    amount.type = 'number'; amount.min = '1'; amount.value = String(drug.amount);
+    amount.setAttribute('aria-label', drug.name + ' dose');
+    const btn = document.createElement('button');
+    btn.textContent = 'Give ' + drug.name;
+    btn.style.borderBottom = '3px solid ' + drug.color;
+    btn.addEventListener('click', ()=>{
+      const dose = Number(amount.value);
+      if(!ensureSeeded()) return;
+      // seeding starts a run from the sidebar, whose drugs may have changed since these buttons were built
+      if(sim.drugs[i] && sim.drugs[i].id === drug.id) sim.dose(dose, i);
+      redraw();
+    });
+    drugDoses.append(amount, btn);
+  });
+}
 
-    // Y particle behavior: when Y contacts a cancer cell it kills that cell, and may leak into neighbors
-    // Y particle behavior: when Y contacts a cancer cell it kills that cell, and may leak into neighbors
-    if(part.type === 'Y'){
-      // If this Y has a specific target index, only check that target
-      if(part.targetIdx !== undefined){
-        const tgt = cells[part.targetIdx];
-        if(tgt && tgt.state===1){
-          const d = Math.hypot(tgt.x - part.x, tgt.y - part.y);
-          if(d <= tgt.size + 10){
-            // Y kills its target cell
-            tgt.state = 0; tgt.size = 0;
-            // also kill the parent cell (the one compound originally entered) if present
-            if(part.parentIdx !== undefined && cells[part.parentIdx] && cells[part.parentIdx].state === 1){
-              cells[part.parentIdx].state = 0; cells[part.parentIdx].size = 0;
-            }
-            // after killing the target, each Y has a 30% chance to immediately go into one adjacent tumor and kill it
-            const neighborIdxs = neighborTumorIndicesForCellIdx(part.targetIdx);
-            if(neighborIdxs.length > 0 && Math.random() < 0.30){
-              const pick = neighborIdxs[Math.floor(Math.random()*neighborIdxs.length)];
-              if(cells[pick] && cells[pick].state === 1){
-                cells[pick].state = 0; cells[pick].size = 0;
-              }
-            }
-            part.dead = true;
-          }
-        } else {
-          // target no longer exists, expire this particle
-          part.dead = true;
-        }
-      } else {
-        // Y without a target: behave like before but only interact if inside a cancer cell (kill and attempt leaks)
-        for(let cIdx=0;cIdx<cells.length;cIdx++){
-          const c = cells[cIdx];
-          if(c.state===1){
-            const d = Math.hypot(c.x - part.x, c.y - part.y);
-            if(d <= c.size + 10){
-              c.state = 0; c.size = 0;
-              const neighborIdxs = neighborTumorIndicesForCellIdx(cIdx);
-              // 30% chance to immediately kill one adjacent tumor cell
-              if(neighborIdxs.length > 0 && Math.random() < 0.30){
-                const pick = neighborIdxs[Math.floor(Math.random()*neighborIdxs.length)];
-                if(cells[pick] && cells[pick].state === 1){ cells[pick].state = 0; cells[pick].size = 0; }
-              }
-              part.dead = true;
-              break;
-            }
-          }
-        }
-      }
-    }
+// vessel layout from the preset or the custom JSON list; used when a run starts
+function checkedVessels(){
+  return checked(normalizeVessels,
+    () => vesselPreset.value === 'custom' ? JSON.parse(vesselJson.value) : VESSEL_PRESETS[vesselPreset.value], vesselError);
+}
 
-    // wandering particles have a chance to die off each tick
-    if(part.wander && Math.random() < 0.015) { part.dead = true; }
+let lastVesselPreset = vesselPreset.value;
 
-    // remove particle when it's off-canvas or spent
-    if(part.x < -40 || part.x > canvas.width+40 || part.y < -40 || part.y > canvas.height+40) part.dead = true;
+// switching to custom starts from the preset that was selected before
+function updateVesselFields(){
+  if(vesselPreset.value === 'custom' && lastVesselPreset !== 'custom'){
+    vesselJson.value = JSON.stringify(VESSEL_PRESETS[lastVesselPreset], null, 1).replace(/\[\s+(-?[\d.]+),\s+(-?[\d.]+)\s+\]/g, '[$1, $2]');
   }
-  // append spawned particles but cap total particles to prevent blowup
-  const MAX_PARTICLES = 1200;
-  if(particles.length + spawned.length > MAX_PARTICLES){
-    const allowed = Math.max(0, MAX_PARTICLES - particles.length);
-    particles = particles.concat(spawned.slice(0, allowed));
-  } else {
-    particles = particles.concat(spawned);
+  lastVesselPreset = vesselPreset.value;
+  for(const el of document.querySelectorAll('.vessel-fields')){
+    el.hidden = !el.dataset.vessels.split(' ').includes(vesselPreset.value);
   }
-  // finally filter out dead
-  particles = particles.filter(p => !p.dead);
-}
-
-function interactWithWall(p){
-  // find cancer cells near hit point
-  const killRadius = 26;
-  const nearby = cells.filter(c => c.state===1 && !isInVesselXY(c.x,c.y) && Math.hypot(c.x - p.x, c.y - p.y) <= killRadius);
-  if(nearby.length>0){
-    const target = nearby[Math.floor(Math.random()*nearby.length)];
-    // kill target
-    target.state = 0; target.size = 0;
-    // chance to kill neighbors based on drug amount
-    const extraChance = Number(drugAmount.value)/200; // 0..0.5
-    // kill neighbors of target
-    // find index of target
-    const tIdx = Math.round((target.y - spacing/2)/spacing) * cols + Math.round((target.x - spacing/2)/spacing);
-    const tx = tIdx % cols; const ty = Math.floor(tIdx/cols);
-    for(let oy=-1;oy<=1;oy++){
-      for(let ox=-1;ox<=1;ox++){
-        if(ox===0 && oy===0) continue;
-        const idx = cellIndex(tx+ox, ty+oy);
-        if(idx>=0 && cells[idx].state===1){
-          if(Math.random() < extraChance){ cells[idx].state=0; cells[idx].size=0; }
-        }
-      }
-    }
+}
+
+// vessel wall permeability, leakier near the tumor
+function checkedExtravasation(){
+  return checked(normalizeExtravasation, () => ({
+    wallPermeability: extravasationWall.value,
+    tumorPermeability: extravasationTumor.value,
+    eprRange: extravasationRange.value,
+  }), extravasationError);
+}
+
+// immune cell recruitment, killing and the checkpoint inhibitor
+function checkedImmune(){
+  return checked(normalizeImmune, () => ({
+    enabled: immuneEnabled.checked,
+    checkpointInhibitor: immuneCheckpoint.checked,
+    baseRecruitment: immuneBaseRecruitment.value,
+    recruitmentPerSignal: immuneRecruitmentPerSignal.value,
+    icdStrength: immuneIcdStrength.value,
+    signalDecay: immuneSignalDecay.value,
+    macrophageShare: immuneMacrophageShare.value,
+    maxCells: immuneMaxCells.value,
+    tcellKill: immuneTcellKill.value,
+    macrophageKill: immuneMacrophageKill.value,
+    pdl1Suppression: immunePdl1.value,
+    attackInterval: immuneAttackInterval.value,
+    tcellSpeed: immuneTcellSpeed.value,
+    macrophageSpeed: immuneMacrophageSpeed.value,
+    lifetime: immuneLifetime.value,
+  }), immuneError);
+}
+
+// compound movement in the tissue: homing or diffusion with interstitial flow
+function checkedTransport(){
+  return checked(normalizeTransport, () => ({
+    mode: transportMode.value,
+    diffusivity: transportDiffusivity.value,
+    lifetime: transportLifetime.value,
+    flowSpeed: transportFlow.value,
+    tumorPressure: transportPressure.value,
+  }), transportError);
+}
+
+function updateTransportFields(){
+  for(const el of document.querySelectorAll('.transport-fields')){
+    el.hidden = el.dataset.transport !== transportMode.value;
   }
 }
 
-window.spawnDrugParticles = function(dose){
-  // spawn number proportional to supplied dose value (manual dosing)
-  const amount = Number(dose);
-  if(!amount || amount <= 0) return;
-  // number of compounds to spawn for this dose: spawn exactly the slider value
-  const toSpawn = Math.max(1, Math.round(amount));
-  for(let i=0;i<toSpawn;i++){
-    const y = Math.random()*canvas.height;
-    const boundaryX = vesselBoundaryX(y);
-    const x = boundaryX + 4 + Math.random()*(canvas.width - boundaryX - 4); // inside vessel area
-    // decide if this particle will target tumor or wander
-    // reduce wander so almost all particles actively target tumors
-    const wanderChance = 0.02 + Math.random()*0.01; // ~2-3% wander
-    const wander = Math.random() < wanderChance;
-    // determine initial velocity
-    let vx = 0, vy = 0;
-    if(!wander){
-      // find nearest cancer cell to target
-      // find nearest cancer cell to target (return index for robustness)
-      let bestIdx = -1; let bestD = 1e9;
-      for(let ti=0; ti<cells.length; ti++){
-        const t = cells[ti]; if(t.state!==1) continue;
-        const d = Math.hypot(t.x - x, t.y - y);
-        if(d < bestD){ bestD = d; bestIdx = ti; }
-      }
-      if(bestIdx >= 0){
-        const best = cells[bestIdx];
-        const dirTo = normalized(best.x - x, best.y - y);
-        const speed = vesselSpeedBase * (1 + amount/80) * (0.95 + Math.random()*0.2);
-        vx = dirTo.x * speed; vy = dirTo.y * speed;
-        // set high steering aggression so compound heads straight for tumor
-        particles.push({x,y,vx,vy,leached:false,type:'compound',hasC:true,targetIdx:bestIdx,wander:false,ttl:400,steerAggression:0.92});
-        continue;
-      }
-    }
-    // wandering or no tumor found: random direction, shorter life
-    const ang = Math.random()*Math.PI*2;
-    const sp = (vesselSpeedBase*0.6) * (0.6 + Math.random()*0.8);
-    vx = Math.cos(ang)*sp; vy = Math.sin(ang)*sp;
-    particles.push({x,y,vx,vy,leached:false,type:'compound',hasC:true,wander:true,ttl:120});
+// oxygen supply, consumption and the hypoxia/necrosis thresholds
+function checkedOxygen(){
+  return checked(normalizeOxygen, () => ({
+    diffusion: oxygenDiffusion.value,
+    perfusion: oxygenPerfusion.value,
+    healthyConsumption: oxygenHealthyConsumption.value,
+    cancerConsumption: oxygenCancerConsumption.value,
+    hypoxiaThreshold: oxygenHypoxia.value,
+    necrosisThreshold: oxygenNecrosis.value,
+    necrosisRate: oxygenNecrosisRate.value,
+  }), oxygenError);
+}
+
+// tumor-induced sprouting and the anti-angiogenic co-therapy
+function checkedAngiogenesis(){
+  return checked(normalizeAngiogenesis, () => ({
+    threshold: angioThreshold.value,
+    sproutRate: angioSproutRate.value,
+    growthSpeed: angioGrowthSpeed.value,
+    radius: angioRadius.value,
+    maxSprouts: angioMaxSprouts.value,
+    maxLength: angioMaxLength.value,
+    inhibition: angioInhibition.value,
+  }), angioError);
+}
+
+// cancer cell cycle; the doubling time comes from the slider
+function checkedCycle(){
+  return checked(normalizeCycle, () => ({
+    doublingTime: doublingTime.value,
+    variability: cycleVariability.value,
+    dividingFraction: cycleDividingFraction.value,
+    dividingSensitivity: cycleDividingSensitivity.value,
+  }), cycleError);
+}
+
+// mutation rate and step sizes of heritable traits
+function checkedEvolution(){
+  return checked(normalizeEvolution, () => ({
+    mutationRate: Number(evolutionMutation.value) / 100,
+    antigenShift: evolutionAntigenShift.value,
+    sensitivityShift: evolutionSensitivityShift.value,
+  }), evolutionError);
+}
+
+// payload per compound and its dose-response
+function checkedPayload(){
+  return checked(normalizePayload, () => ({
+    dar: payloadDar.value,
+    escapeFraction: payloadEscape.value,
+    ec50: payloadEc50.value,
+    hill: payloadHill.value,
+    maxKill: payloadMaxKill.value,
+    permeability: payloadPermeability.value,
+    fieldDecay: payloadFieldDecay.value,
+    uptakeRate: payloadUptake.value,
+    healthyUptakeRate: payloadHealthyUptake.value,
+    effluxRate: payloadEfflux.value,
+    healthyEc50: payloadHealthyEc50.value,
+    healthyRepair: payloadHealthyRepair.value,
+    decay: payloadDecay.value,
+  }), payloadError);
+}
+
+// compound design and binding kinetics; a monospecific design switches the other arm off
+function checkedBinding(){
+  return checked(normalizeBinding, () => ({
+    affinityA: bindingDesign.value === 'monoB' ? 0 : bindingAffinityA.value,
+    affinityB: bindingDesign.value === 'monoA' ? 0 : bindingAffinityB.value,
+    receptorsPerCell: bindingReceptors.value,
+    offRate: bindingOffRate.value,
+    avidityFactor: bindingAvidity.value,
+    internalizeTicks: bindingInternalize.value,
+    releaseTicks: bindingRelease.value,
+  }), bindingError);
+}
+
+function updateBindingInfo(){
+  const m = sim.history[sim.history.length-1];
+  if(!m) return;
+  bindingInfo.textContent = 'Receptor occupancy: ' + Math.round(m.receptorOccupancy * 100) + '% · bound ' + m.boundCompounds + ' · internalized ' + m.internalizedCompounds;
+}
+
+// antigen expression settings; used when the tumor is seeded, so they apply from the next Reset
+function checkedAntigen(){
+  return checked(normalizeAntigen, () => ({
+    pattern: antigenPattern.value,
+    clusterScale: antigenClusterScale.value,
+    meanA: antigenMeanA.value, sdA: antigenSdA.value,
+    meanB: antigenMeanB.value, sdB: antigenSdB.value,
+    negativeFraction: Number(antigenNegative.value) / 100,
+  }), antigenError);
+}
+
+function updateAntigenFields(){
+  for(const el of document.querySelectorAll('.antigen-fields')){
+    el.hidden = !el.dataset.antigen.split(' ').includes(antigenPattern.value);
+  }
+}
+
+// per-cell value shown by the overlay select, 0..1 (null = no overlay)
+const overlayValues = {
+  antigenA: c => c.antigenA,
+  antigenB: c => c.antigenB,
+  binding: c => bindingProbability(c, sim.config.binding),
+  // the founder's sensitivity (1) sits in the middle of the scale
+  sensitivity: c => c.sensitivity / 2,
+  // progress through the cycle; arrested cells show as 0
+  cycle: c => c.arrested ? 0 : c.cycleAge / c.cycleLength,
+  occupancy: c => {
+    const receptors = c.receptorsA + c.receptorsB;
+    return receptors > 0 ? (c.occupiedA + c.occupiedB) / receptors : 0;
+  },
+  // EC50 sits in the middle of the scale
+  payload: c => c.payload / (2 * sim.config.payload.ec50),
+};
+
+// per-grid-point value (by cell index) of overlays drawn over the whole tissue, 0..1 (null = not drawn)
+const fieldOverlayValues = {
+  payloadField: idx => {
+    const v = sim.payloadField[idx] / sim.config.payload.ec50;
+    return v > 0.01 ? v : null;
+  },
+  oxygen: idx => sim.oxygen[idx],
+};
+
+// blue (0) -> yellow (0.5) -> red (1)
+function heatColor(v, alpha){
+  v = Math.max(0, Math.min(1, v));
+  const r = v < 0.5 ? Math.round(60 + 390*v) : 255;
+  const g = v < 0.5 ? Math.round(90 + 250*v) : Math.round(215 - 300*(v-0.5));
+  const b = v < 0.5 ? Math.round(220 - 400*v) : 20;
+  return 'rgba(' + r + ',' + g + ',' + b + ',' + (alpha === undefined ? 1 : alpha) + ')';
+}
+
+function drawOverlayLegend(label){
+  const x = 12, y = canvas.height - 26, w = 140, h = 8;
+  for(let i=0;i<w;i++){ ctx.fillStyle = heatColor(i/(w-1)); ctx.fillRect(x+i, y, 1, h); }
+  ctx.strokeStyle = '#888'; ctx.lineWidth = 1; ctx.strokeRect(x, y, w, h);
+  ctx.fillStyle = '#333'; ctx.font = '11px system-ui, sans-serif';
+  ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
+  ctx.fillText(label, x, y - 2);
+  ctx.textBaseline = 'top';
+  ctx.fillText('0', x, y + h + 2);
+  ctx.textAlign = 'right';
+  ctx.fillText('1', x + w, y + h + 2);
+}
+
+// PK parameters from the sidebar, with the half-life or the problem shown under them
+function checkedPK(){
+  const pk = checked(normalizePK, () => ({
+    model: pkModel.value,
+    infusionRate: pkInfusionRate.value,
+    volume: pkVolume.value,
+    clearance: pkClearance.value,
+    peripheralVolume: pkPeripheralVolume.value,
+    interCompartmentClearance: pkQ.value,
+    spawnRate: pkClearance.value, // a dose spawns about its size in compounds, whatever the clearance
+  }), pkInfo);
+  if(pk && pk.model !== 'bolus') pkInfo.textContent = 'Half-life: ' + pkHalfLife(pk).toFixed(0) + ' ticks';
+  return pk;
+}
+
+function updatePKFields(){
+  for(const el of document.querySelectorAll('.pk-fields')){
+    el.hidden = !el.dataset.pk.split(' ').includes(pkModel.value);
   }
+}
+
+// dosing schedule from the schedule editor (null = manual dosing only)
+function readSchedule(){
+  switch(scheduleType.value){
+    case 'interval':
+      return {type: 'interval', start: scheduleStart.value, every: scheduleEvery.value, count: scheduleCount.value, amount: scheduleAmount.value};
+    case 'loading':
+      return {type: 'loading', start: scheduleStart.value, every: scheduleEvery.value, count: scheduleCount.value,
+        loadingAmount: scheduleLoading.value, maintenanceAmount: scheduleMaintenance.value};
+    case 'list':
+      return {type: 'list', doses: parseDoseList(scheduleList.value)};
+    default:
+      return null;
   }
 }
 
+// validated schedule, or null (manual dosing) with the problem shown under the editor
+function checkedSchedule(){
+  return checked(normalizeSchedule, readSchedule, scheduleError);
+}
+
+function updateScheduleFields(){
+  for(const el of document.querySelectorAll('.schedule-fields')){
+    el.hidden = !el.dataset.schedule.split(' ').includes(scheduleType.value);
+  }
+}
+
+// every tube vessel as a polyline of its diameter plus extra pixels
+function drawTubes(color, extra){
+  ctx.save();
+  ctx.strokeStyle = color; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+  for(const v of sim.vessels){
+    if(v.type !== 'tube') continue;
+    ctx.lineWidth = v.radius * 2 + extra;
+    ctx.beginPath();
+    ctx.moveTo(v.points[0][0], v.points[0][1]);
+    for(let k=1;k<v.points.length;k++) ctx.lineTo(v.points[k][0], v.points[k][1]);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
 function draw(){
+  const cells = sim.cells, particles = sim.particles;
   ctx.clearRect(0,0,canvas.width,canvas.height);
 
   // draw tissue background
   ctx.fillStyle = '#f7f7f7';
   ctx.fillRect(0,0,canvas.width,canvas.height);
 
-  // draw vessel as a curved/diagonal band (fill area to the right of boundary)
+  // draw vessels: bands fill the area to the right of their boundary, tubes are thick polylines
   ctx.fillStyle = 'rgba(255,200,200,0.6)';
-  ctx.beginPath();
-  // start at top-right corner
-  ctx.moveTo(canvas.width, 0);
-  ctx.lineTo(vesselBoundaryX(0), 0);
-  // boundary downwards
-  for(let y=0; y<=canvas.height; y+=4){
-    ctx.lineTo(vesselBoundaryX(y), y);
+  for(const v of sim.vessels){
+    if(v.type !== 'band') continue;
+    ctx.beginPath();
+    // start at top-right corner
+    ctx.moveTo(canvas.width, 0);
+    ctx.lineTo(bandBoundaryX(v, 0), 0);
+    // boundary downwards
+    for(let y=0; y<=canvas.height; y+=4){
+      ctx.lineTo(bandBoundaryX(v, y), y);
+    }
+    ctx.lineTo(canvas.width, canvas.height);
+    ctx.closePath();
+    ctx.fill();
   }
-  ctx.lineTo(canvas.width, canvas.height);
-  ctx.closePath();
-  ctx.fill();
+  drawTubes('rgba(255,200,200,0.6)', 0);
 
   // draw healthy muscle cells on the left side (grid - skip vessel area)
   const healthyFill = '#ffd6da';
   const healthyStroke = '#ff9aa2';
   const healthyOrg = '#ff8a90';
   // make healthy cells bigger so they touch/overlap slightly
-  const healthyRadius = Math.max(6, spacing * 0.48);
-  for(const c of cells){
-    if(isInVesselXY(c.x, c.y)) continue; // skip inside vessel
-    // draw healthy background cell
+  const healthyRadius = Math.max(6, sim.config.spacing * 0.48);
+  for(let i=0;i<cells.length;i++){
+    const c = cells[i];
+    if(sim.isVesselCell(i)) continue; // skip inside vessel
+    if(c.state===2){
+      // dead healthy tissue: shrunken grey cell without organelle
+      ctx.beginPath(); ctx.fillStyle = '#d8d0cc'; ctx.strokeStyle = '#b0a4a0'; ctx.lineWidth = 1;
+      ctx.arc(c.x, c.y, healthyRadius * 0.7, 0, Math.PI*2); ctx.fill(); ctx.stroke();
+      continue;
+    }
+    if(c.state===3){
+      // necrotic tumor: dark brown debris
+      ctx.beginPath(); ctx.fillStyle = '#6e5a50'; ctx.strokeStyle = '#4e3e36'; ctx.lineWidth = 1;
+      ctx.arc(c.x, c.y, healthyRadius * 0.8, 0, Math.PI*2); ctx.fill(); ctx.stroke();
+      continue;
+    }
+    // draw healthy background cell; damaged cells fade with their viability
+    ctx.globalAlpha = 0.35 + 0.65 * c.viability;
     ctx.beginPath();
   ctx.fillStyle = healthyFill;
   ctx.strokeStyle = healthyStroke;
@@ -428,17 +684,21 @@ function draw(){
     // organelle for healthy cell
     const orgR = healthyRadius * 0.30;
     ctx.beginPath(); ctx.fillStyle = healthyOrg; ctx.arc(c.x, c.y, orgR, 0, Math.PI*2); ctx.fill();
+    ctx.globalAlpha = 1;
   }
 
-  // draw cancer cells on top (cancer cells are larger and white with a darker organelle)
+  // draw cancer cells on top (cancer cells are larger and white with a darker organelle);
+  // with an overlay selected they are filled with its heatmap color instead
   const cancerOrg = '#999999';
-  for(const c of cells){
+  const overlayValue = overlayValues[overlaySelect.value];
+  for(let i=0;i<cells.length;i++){
+    const c = cells[i];
     if(c.state===1){
       // ensure cancer drawn even if touching vessel border (but skip true vessel interior)
-      if(isInVesselXY(c.x, c.y)) continue;
+      if(sim.isVesselCell(i)) continue;
   const r = c.size || (healthyRadius * 1.5);
   // draw cancer cell with light grey wall/stroke
-  ctx.beginPath(); ctx.fillStyle = '#ffffff'; ctx.arc(c.x, c.y, r, 0, Math.PI*2); ctx.fill();
+  ctx.beginPath(); ctx.fillStyle = overlayValue ? heatColor(overlayValue(c)) : '#ffffff'; ctx.arc(c.x, c.y, r, 0, Math.PI*2); ctx.fill();
   ctx.lineWidth = 2.0; ctx.strokeStyle = 'rgba(180,180,180,0.9)'; ctx.stroke();
   // organelle inside cancer cell (darker circle ~30% of size)
   const orgR = r * 0.30;
@@ -446,18 +706,57 @@ function draw(){
     }
   }
 
-  // draw vessel wall line
+  // cancer cells of the previous branch at this tick, as dashed outlines
+  const ghostCells = sim.ghostCellsAt(sim.tick);
+  if(ghostCells){
+    ctx.save();
+    ctx.setLineDash([3,3]); ctx.strokeStyle = 'rgba(40,80,200,0.6)'; ctx.lineWidth = 1.5;
+    for(const c of ghostCells){
+      if(c.state !== 1) continue;
+      ctx.beginPath(); ctx.arc(c.x, c.y, c.size || (healthyRadius * 1.5), 0, Math.PI*2); ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // field overlays tint every tissue grid point
+  const fieldValue = fieldOverlayValues[overlaySelect.value];
+  if(fieldValue){
+    const half = sim.config.spacing / 2;
+    for(let i=0;i<cells.length;i++){
+      const v = fieldValue(i);
+      if(v === null || sim.isVesselCell(i)) continue;
+      ctx.fillStyle = heatColor(v, 0.5);
+      ctx.fillRect(cells[i].x - half, cells[i].y - half, half*2, half*2);
+    }
+  }
+
+  // draw vessel wall lines; tubes are redrawn over the cells at their edges
   ctx.strokeStyle = 'rgba(150,0,0,0.2)'; ctx.lineWidth = 2;
-  ctx.beginPath(); ctx.moveTo(vesselBoundaryX(0),0);
-  for(let y=0;y<=canvas.height;y+=4) ctx.lineTo(vesselBoundaryX(y), y);
-  ctx.stroke();
+  for(const v of sim.vessels){
+    if(v.type !== 'band') continue;
+    ctx.beginPath(); ctx.moveTo(bandBoundaryX(v, 0),0);
+    for(let y=0;y<=canvas.height;y+=4) ctx.lineTo(bandBoundaryX(v, y), y);
+    ctx.stroke();
+  }
+  drawTubes('rgba(150,0,0,0.2)', 2);
+  drawTubes('#fcdbdb', 0);
 
   // draw particles (use images if provided, otherwise fallback to letters)
   ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
   for(const p of particles){
-    if(p.type === 'compound'){
+    const drug = p.drug !== undefined ? sim.drugs[p.drug] : null;
+    if(drug && drug.sprite !== 'compound'){
+      // other drugs: an antibody glyph or a dot in the drug's color
+      ctx.globalAlpha = p.internalized ? 0.45 : 1;
+      ctx.fillStyle = drug.color;
+      if(drug.sprite === 'y'){ ctx.font = 'bold 16px sans-serif'; ctx.fillText('Y', p.x, p.y); }
+      else { ctx.beginPath(); ctx.arc(p.x, p.y, 3, 0, Math.PI*2); ctx.fill(); }
+      ctx.globalAlpha = 1;
+    } else if(p.type === 'compound'){
       // draw compound image; enlarge for visibility
-      const w = 56, h = 56;
+      // internalized compounds are drawn small and faded inside their cell
+      const w = p.internalized ? 28 : 56, h = w;
+      ctx.globalAlpha = p.internalized ? 0.45 : 1;
       if(imgCompound.complete && imgCompound.naturalWidth){
         // maintain aspect ratio if image is not square
         const aspect = imgCompound.naturalWidth / imgCompound.naturalHeight || 1;
@@ -471,6 +770,7 @@ function draw(){
         ctx.fillStyle = p.leached ? 'rgba(40,120,220,0.95)' : 'rgba(0,80,200,0.9)';
         ctx.fillText('Y', p.x+6, p.y);
       }
+      ctx.globalAlpha = 1;
     } else if(p.type === 'Y'){
       const s = 18;
       if(imgY.complete && imgY.naturalWidth){
@@ -483,156 +783,413 @@ function draw(){
       }
     }
   }
+
+  // immune cells: T cells small teal, macrophages larger purple
+  for(const im of sim.immuneCells){
+    const r = im.type === 'tcell' ? 4 : 6;
+    ctx.fillStyle = im.type === 'tcell' ? 'rgba(30,150,140,0.9)' : 'rgba(130,80,190,0.85)';
+    ctx.beginPath(); ctx.arc(im.x, im.y, r, 0, Math.PI*2); ctx.fill();
+    ctx.strokeStyle = 'rgba(255,255,255,0.8)'; ctx.lineWidth = 1; ctx.stroke();
+  }
+
+  if(overlayValue || fieldValue) drawOverlayLegend(overlaySelect.options[overlaySelect.selectedIndex].text);
 }
 
-// --- helper functions (were missing) ---
-function vesselBoundaryX(y){
-  // base vertical line shifted by slope and sinusoidal curvature
-  return vesselX + vesselParams.slope * y + vesselParams.amplitude * Math.sin(vesselParams.freq * y + vesselParams.phase);
+// time series of the run so far; dose events are the dashed vertical lines
+const metricSeries = [
+  {label: 'Tumor cells', color: '#555', value: m => m.tumorCells},
+  {label: 'In vessel', color: '#d04848', value: m => m.vesselCompounds},
+  {label: 'Leached', color: '#2878dc', value: m => m.leachedCompounds},
+  {label: 'Bound', color: '#9a50c0', value: m => m.boundCompounds},
+  {label: 'Free payload', color: '#d0a020', value: m => m.freePayload},
+  {label: 'Tumor payload', color: '#c06020', value: m => m.tumorPayload},
+  {label: 'Kills', color: '#3a9a5a', value: m => m.kills},
+  {label: 'Healthy dead', color: '#a07868', value: m => m.healthyDead},
+  {label: 'Antigen-low', color: '#40a0b0', value: m => m.antigenLowCells},
+  {label: 'Hypoxic', color: '#6080a0', value: m => m.hypoxicCells},
+  {label: 'Necrotic', color: '#6e5a50', value: m => m.necroticCells},
+  {label: 'Capillary px', color: '#e07080', value: m => m.capillaryLength},
+  {label: 'T cells', color: '#1e968c', value: m => m.tCells},
+  {label: 'Macrophages', color: '#8250be', value: m => m.macrophages},
+];
+
+// tumor cells against the plasma concentration of every drug (one drug: the original purple line)
+function pkSeries(){
+  const series = [{label: 'Tumor cells', color: '#555', value: m => m.tumorCells}];
+  if(sim.drugs.length === 1) series.push({label: 'Plasma conc.', color: '#8a3ab9', value: m => m.plasmaConcentration, axis: 'right', digits: 2});
+  else sim.drugs.forEach((d, i) => series.push({label: d.name, color: d.color, value: m => m.plasmaByDrug[i], axis: 'right', digits: 2}));
+  return series;
 }
 
-function isInVesselXY(x, y){
-  return x >= vesselBoundaryX(y);
+const cloneColors = ['#555', '#d04848', '#2878dc', '#3a9a5a', '#d0a020', '#9a50c0'];
+
+// the largest clones right now, each labelled with its traits, plus all other clones together
+function cloneSeries(){
+  const latest = sim.history[sim.history.length-1];
+  const counts = latest ? latest.cloneCounts : {};
+  const top = Object.keys(counts).map(Number).sort((a, b) => counts[b] - counts[a]).slice(0, cloneColors.length - 1);
+  const series = top.map((id, i) => {
+    const clone = sim.clones[id];
+    const traits = clone.antigenA === null ? 'founder' : 'A ' + clone.antigenA.toFixed(2) + ' B ' + clone.antigenB.toFixed(2) + ' S ' + clone.sensitivity.toFixed(2);
+    return {label: '#' + id + ' (' + traits + ')', color: cloneColors[i], value: m => m.cloneCounts[id] || 0};
+  });
+  if(Object.keys(counts).length > top.length){
+    series.push({label: 'Other', color: '#bbb', value: m => {
+      let n = 0;
+      for(const id of Object.keys(m.cloneCounts)) if(!top.includes(Number(id))) n += m.cloneCounts[id];
+      return n;
+    }});
+  }
+  return series;
 }
 
-function cellIndex(ix, iy){
-  if(ix < 0 || iy < 0 || ix >= cols || iy >= rows) return -1;
-  return iy * cols + ix;
+// mean payload delivered per live cancer cell at each depth, with the compounds held there
+const depthSeries = [
+  {label: 'Direct payload', color: '#c06020', value: r => r.direct, bar: true},
+  {label: 'Bystander payload', color: '#d0a020', value: r => r.bystander, bar: true},
+  {label: 'Bound/internalized', color: '#9a50c0', value: r => r.compounds, axis: 'right'},
+];
+
+function drawMetrics(){
+  // after a rewind and a change, the branch left behind is drawn faded for comparison
+  const ghost = sim.ghost ? sim.ghost.history : null;
+  drawTimeSeries(metricsCtx, sim.history, metricSeries, {markers: sim.doseTicks, ghost});
+  drawTimeSeries(pkCtx, sim.history, pkSeries(), {markers: sim.doseTicks, ghost});
+  drawTimeSeries(cloneCtx, sim.history, cloneSeries(), {markers: sim.doseTicks});
+  const profile = sim.penetrationProfile();
+  drawProfile(depthCtx, profile.rows, depthSeries, {note: 'mean depth ' + profile.meanDepth.toFixed(1) + ' (direct ' + profile.directDepth.toFixed(1) + ')'});
 }
 
-function neighborsCount(i){
-  const c = cells[i];
-  const ix = Math.round((c.x - spacing/2) / spacing);
-  const iy = Math.round((c.y - spacing/2) / spacing);
-  let count = 0;
-  for(let oy=-1; oy<=1; oy++){
-    for(let ox=-1; ox<=1; ox++){
-      if(ox===0 && oy===0) continue;
-      const idx = cellIndex(ix+ox, iy+oy);
-      if(idx >= 0 && cells[idx] && cells[idx].state === 1) count++;
-    }
+const killCauseLabels = {
+  'payload-internalized': 'own internalized payload',
+  'payload-diffused': 'taken up from tissue',
+  'immune-tcell': 'T cells',
+  'immune-macrophage': 'macrophages',
+  'payload-chemo': 'free chemo',
+  'antibody-adcc': 'naked antibody (ADCC)',
+  'vessel-sprout': 'overgrown by a sprout',
+};
+
+// direct binding vs. bystander share of tumor clearance so far, next to the healthy tissue toxicity
+function updateKillSummary(){
+  const s = sim.killSummary();
+  const t = sim.toxicitySummary();
+  const lines = [
+    'Direct binding: ' + s.direct,
+    'Bystander effect: ' + s.bystander + ' (' + Math.round(s.bystanderFraction * 100) + '% of kills)',
+  ];
+  if(s.immune > 0 || sim.config.immune.enabled) lines.push('Immune system: ' + s.immune + ' (ICD signal ' + sim.icdSignal.toFixed(1) + ')');
+  for(const cause of Object.keys(s.byCause)){
+    if(s.byCause[cause] > 0) lines.push('  ' + killCauseLabels[cause] + ': ' + s.byCause[cause]);
   }
-  return count;
-}
-
-// return array of neighbor indices (8-neighborhood) that are tumor cells
-function neighborTumorIndicesForCellIdx(idx){
-  const c = cells[idx];
-  if(!c) return [];
-  const ix = Math.round((c.x - spacing/2) / spacing);
-  const iy = Math.round((c.y - spacing/2) / spacing);
-  const out = [];
-  for(let oy=-1; oy<=1; oy++){
-    for(let ox=-1; ox<=1; ox++){
-      if(ox===0 && oy===0) continue;
-      const nidx = cellIndex(ix+ox, iy+oy);
-      if(nidx>=0 && cells[nidx] && cells[nidx].state===1) out.push(nidx);
-    }
+  if(sim.drugs.length > 1){
+    lines.push('By drug: ' + sim.drugs.map(d => d.name + ' ' + s.byDrug[d.id]).join(', '));
   }
-  return out;
+  lines.push('Healthy tissue: ' + t.dead + ' dead (' + (t.deadFraction * 100).toFixed(1) + '%), ' + t.damaged + ' damaged, mean viability ' + Math.round(t.meanViability * 100) + '%');
+  killSummary.textContent = lines.join('\n');
 }
 
-function initCells(){
-  cells = [];
-  for(let iy=0; iy<rows; iy++){
-    for(let ix=0; ix<cols; ix++){
-      const x = spacing/2 + ix * spacing;
-      const y = spacing/2 + iy * spacing;
-      cells.push({x, y, state: 0, size: 0});
-    }
-  }
+// share of each dose's compounds that crossed a vessel wall into the tissue, latest doses last
+function updateDeliverySummary(){
+  const doses = sim.deliverySummary();
+  if(doses.length === 0){ deliverySummary.textContent = 'No doses yet'; return; }
+  const name = d => sim.drugs.length > 1 ? sim.drugs[d.drugIdx].name + ' ' : '';
+  const lines = doses.slice(-6).map(d => name(d) + 'Dose at tick ' + d.tick + ': ' + d.extravasated + '/' + d.spawned + ' reached tissue (' +
+    Math.round(d.tissueFraction * 100) + '%), ' + d.washedOut + ' washed out' + (d.inVessel > 0 ? ', ' + d.inVessel + ' in vessel' : ''));
+  if(doses.length > 6) lines.unshift('(' + (doses.length - 6) + ' earlier doses in the export)');
+  deliverySummary.textContent = lines.join('\n');
 }
 
-function seedInitial(){
-  // clear any existing tumor
-  for(const c of cells){ c.state = 0; c.size = 0; }
-  // number of cells to seed based on slider (scaled)
-  const pct = Math.max(0, Math.min(100, Number(startAmount.value)));
-  const targetCount = Math.max(3, Math.round((pct/100) * 45));
-
-  // choose a center y near middle and just outside the vessel boundary (muscle side)
-  const yc = canvas.height * (0.35 + Math.random()*0.3);
-  const bx = vesselBoundaryX(yc);
-  const xc = Math.max( spacing, bx - spacing*3 );
-
-  // find nearest grid cell to (xc,yc)
-  const centerIx = Math.round((xc - spacing/2) / spacing);
-  const centerIy = Math.round((yc - spacing/2) / spacing);
-  const startIdx = cellIndex(centerIx, centerIy) >=0 ? cellIndex(centerIx, centerIy) : Math.floor(cells.length/2);
-
-  // simple BFS/expansion to create a connected cluster
-  const q = [startIdx];
-  const seen = new Set([startIdx]);
-  let seeded = 0;
-  while(q.length>0 && seeded < targetCount){
-    const idx = q.shift();
-    if(idx<0 || idx>=cells.length) continue;
-    const c = cells[idx];
-    if(isInVesselXY(c.x, c.y)) continue; // don't seed inside vessel
-    if(c.state===0){
-      c.state = 1; c.size = 12 + Math.random()*10; seeded++;
-    }
-    // push neighbors in random order
-    const ix = Math.round((c.x - spacing/2) / spacing);
-    const iy = Math.round((c.y - spacing/2) / spacing);
-    const neigh = [];
-    for(let oy=-1; oy<=1; oy++) for(let ox=-1; ox<=1; ox++) if(!(ox===0 && oy===0)) neigh.push([ix+ox, iy+oy]);
-    // shuffle
-    for(let i=neigh.length-1;i>0;i--){ const j=Math.floor(Math.random()*(i+1)); const t=neigh[i]; neigh[i]=neigh[j]; neigh[j]=t; }
-    for(const [nx,ny] of neigh){
-      const nidx = cellIndex(nx, ny);
-      if(nidx>=0 && !seen.has(nidx)) { seen.add(nidx); q.push(nidx); }
-    }
-  }
+function downloadJSON(filename, data){
+  const blob = new Blob([JSON.stringify(data, null, 2)], {type: 'application/json'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
 }
 
+// seed and dose ticks are everything needed to replay a run
+function updateRunInfo(){
+  let text = 'Seed: ' + sim.config.seed + ' · tick ' + sim.tick;
+  if(sim.doseTicks.length > 0) text += ' · doses at tick ' + sim.doseTicks.join(', ');
+  runInfo.textContent = text;
+}
 
-function tick(){
-  stepSimulation();
+// redraw the scene and every readout for the current state of sim
+function redraw(){
   draw();
+  drawMetrics();
+  updateKillSummary();
+  updateDeliverySummary();
+  updateBindingInfo();
+  updateRunInfo();
+  updateTimeline();
+}
+
+// the scrubber spans the recorded snapshots up to the end of the current branch
+function updateTimeline(){
+  const end = sim.branch ? sim.branch.tick : sim.tick;
+  timelineInput.min = String(sim.timeline.length ? sim.timeline[0].tick : sim.tick);
+  timelineInput.max = String(end);
+  timelineInput.value = String(sim.tick);
+  let text = 'tick ' + sim.tick;
+  if(sim.branch) text += ' of ' + end;
+  if(sim.ghost) text += ' · previous branch from tick ' + sim.ghost.fromTick + ' shown faded';
+  timelineVal.textContent = text;
+}
+
+function tick(){
+  sim.step();
+  redraw();
 }
 
 // Manual dosing function: call when user clicks the dose button
 function giveDose(){
   const dose = Number(drugAmount.value);
   if(dose <= 0) return;
-  spawnDrugParticles(dose);
+  // dose the run itself, not the unseeded tissue shown before the first Run
+  if(!ensureSeeded()) return;
+  sim.dose(dose);
+  redraw();
 }
 
- 
-function start(){
+// a new run from the sidebar settings: fresh tumor, paused at tick 0. Refused (false) while a section is
+// invalid, rather than quietly running that section's defaults
+function reset(){
+  pause();
+  const config = readConfig();
+  if(invalidSections.size > 0){
+    const names = [...invalidSections].map(el => { const section = el.closest('details'); section.open = true; return section.querySelector('summary').textContent; });
+    resetError.textContent = 'Fix the settings first: ' + names.join(', ');
+    return false;
+  }
+  resetError.textContent = '';
+  sim = new Simulation(config);
+  sim.seed();
+  buildDrugDoseControls();
+  redraw();
+  updatePlayControls();
+  return true;
+}
+
+// the tissue shown before the first run has no tumor yet; false when it could not be seeded
+function ensureSeeded(){
+  return sim.history.length > 0 || reset();
+}
+
+function resume(){
   if(running) return;
+  if(!ensureSeeded()) return;
   running = true;
-  initCells();
-  seedInitial();
-  particles = [];
-  tickInterval = setInterval(tick, 120);
+  lastFrameTime = null;
+  tickDebt = 0;
+  frameRequest = requestAnimationFrame(frame);
+  updatePlayControls();
 }
 
-function stop(){
+function pause(){
   running = false;
-  if(tickInterval) clearInterval(tickInterval);
+  if(frameRequest !== null) cancelAnimationFrame(frameRequest);
+  frameRequest = null;
+  updatePlayControls();
+}
+
+// one tick while paused
+function stepOnce(){
+  if(running) return;
+  if(!ensureSeeded()) return;
+  tick();
+  updatePlayControls();
+}
+
+// runs as many ticks per animation frame as the speed setting asks for, however fast the display refreshes
+function frame(now){
+  if(lastFrameTime !== null){
+    tickDebt = Math.min(MAX_TICKS_PER_FRAME, tickDebt + (now - lastFrameTime) / 1000 * Number(speedInput.value));
+    if(tickDebt >= 1){
+      const ticks = Math.floor(tickDebt);
+      tickDebt -= ticks;
+      for(let t=0;t<ticks;t++) sim.step();
+      redraw();
+    }
+  }
+  lastFrameTime = now;
+  frameRequest = requestAnimationFrame(frame);
+}
+
+function updatePlayControls(){
+  runBtn.textContent = running ? 'Pause' : (sim.tick === 0 ? 'Run' : 'Resume');
+  stepBtn.disabled = running;
 }
 
 // wire controls
-runBtn.addEventListener('click', ()=>{ start(); });
-stopBtn.addEventListener('click', ()=>{ stop(); });
+resetBtn.addEventListener('click', ()=>{ reset(); });
+runBtn.addEventListener('click', ()=>{ if(running) pause(); else resume(); });
+stepBtn.addEventListener('click', ()=>{ stepOnce(); });
+speedInput.addEventListener('input', ()=>{ speedVal.textContent = speedInput.value; });
+// scrubbing pauses the run; Run or Step from a rewound tick (or a dose or settings edit there) starts a new branch
+timelineInput.addEventListener('input', ()=>{
+  pause();
+  sim.rewind(Number(timelineInput.value));
+  redraw();
+  updatePlayControls();
+});
 // manual dose button
 doseBtn && doseBtn.addEventListener('click', ()=>{ giveDose(); });
+exportKillsBtn.addEventListener('click', ()=>{
+  downloadJSON('kill-ledger-seed' + sim.config.seed + '-tick' + sim.tick + '.json', sim.exportKillLedger());
+});
+
+// a scenario with a snapshot opens paused where it was saved; one without at tick 0 of its seed
+saveScenarioBtn.addEventListener('click', ()=>{
+  downloadJSON('scenario-seed' + sim.config.seed + '-tick' + sim.tick + '.json', sim.exportScenario(scenarioSnapshot.checked));
+});
+loadScenarioBtn.addEventListener('click', ()=>{ scenarioFile.click(); });
+scenarioFile.addEventListener('change', ()=>{
+  const file = scenarioFile.files[0];
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    scenarioFile.value = '';
+    let loaded;
+    try {
+      loaded = loadScenario(JSON.parse(reader.result));
+    } catch(err){
+      scenarioError.textContent = file.name + ': ' + err.message;
+      return;
+    }
+    scenarioError.textContent = '';
+    pause();
+    sim = loaded;
+    writeControls(sim.config);
+    buildDrugDoseControls();
+    redraw();
+    updatePlayControls();
+  };
+  reader.readAsText(file);
+});
+
+function updateSliderLabels(){
+  startAmountVal.textContent = startAmount.value + '%';
+  doublingTimeVal.textContent = doublingTime.value;
+  drugAmountVal.textContent = drugAmount.value;
+}
+
+[startAmount, doublingTime, drugAmount].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    updateSliderLabels();
+    // drug speed is read live by the model
+    sim.setDrugAmount(Number(drugAmount.value));
+  });
+});
+
+vesselPreset.addEventListener('input', ()=>{ updateVesselFields(); checkedVessels(); });
+drugPreset.addEventListener('input', ()=>{ updateDrugFields(); checkedDrugs(); });
+vesselJson.addEventListener('input', checkedVessels);
+// immune edits apply to the running simulation right away, so the checkpoint inhibitor can be started mid-run
+[immuneEnabled, immuneCheckpoint, immuneBaseRecruitment, immuneRecruitmentPerSignal, immuneIcdStrength, immuneSignalDecay,
+  immuneMacrophageShare, immuneMaxCells, immuneTcellKill, immuneMacrophageKill, immunePdl1, immuneAttackInterval,
+  immuneTcellSpeed, immuneMacrophageSpeed, immuneLifetime].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    const immune = checkedImmune();
+    if(immune) sim.setImmune(immune);
+  });
+});
+// transport edits apply to the running simulation right away; compounds already given keep their mode
+[transportMode, transportDiffusivity, transportLifetime, transportFlow, transportPressure].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    updateTransportFields();
+    const transport = checkedTransport();
+    if(transport) sim.setTransport(transport);
+  });
+});
+// permeability edits apply to the running simulation right away
+[extravasationWall, extravasationTumor, extravasationRange].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    const extravasation = checkedExtravasation();
+    if(extravasation) sim.setExtravasation(extravasation);
+  });
+});
+// oxygen edits apply to the running simulation right away
+[oxygenDiffusion, oxygenPerfusion, oxygenHealthyConsumption, oxygenCancerConsumption, oxygenHypoxia, oxygenNecrosis, oxygenNecrosisRate].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    const oxygen = checkedOxygen();
+    if(oxygen) sim.setOxygen(oxygen);
+  });
+});
+// angiogenesis edits apply to the running simulation right away; existing sprouts are kept
+[angioThreshold, angioSproutRate, angioGrowthSpeed, angioRadius, angioMaxSprouts, angioMaxLength, angioInhibition].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    const angiogenesis = checkedAngiogenesis();
+    if(angiogenesis) sim.setAngiogenesis(angiogenesis);
+  });
+});
+// cell cycle edits (doubling time included) apply to the running simulation right away
+[doublingTime, cycleVariability, cycleDividingFraction, cycleDividingSensitivity].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    const cycle = checkedCycle();
+    if(cycle) sim.setCycle(cycle);
+  });
+});
+
+// schedule edits apply to the running simulation right away; an invalid schedule keeps the current one
+[scheduleType, scheduleStart, scheduleEvery, scheduleCount, scheduleAmount, scheduleLoading, scheduleMaintenance, scheduleList].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    updateScheduleFields();
+    const schedule = checkedSchedule();
+    if(schedule || scheduleType.value === 'manual') sim.setSchedule(schedule);
+  });
+});
 
-[startAmount, growthRate, drugAmount].forEach(el=>{
+// PK edits apply to the running simulation right away; invalid input keeps the current PK
+[pkModel, pkInfusionRate, pkVolume, pkClearance, pkPeripheralVolume, pkQ].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    updatePKFields();
+    const pk = checkedPK();
+    if(pk) sim.setPK(pk);
+  });
+});
+
+antigenPattern.addEventListener('input', updateAntigenFields);
+[antigenPattern, antigenClusterScale, antigenMeanA, antigenSdA, antigenMeanB, antigenSdB, antigenNegative].forEach(el=>{
+  el.addEventListener('input', checkedAntigen);
+});
+// binding edits apply to the running simulation right away
+[bindingDesign, bindingAffinityA, bindingAffinityB, bindingReceptors, bindingOffRate, bindingAvidity, bindingInternalize, bindingRelease].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    const binding = checkedBinding();
+    if(binding) sim.setBinding(binding);
+  });
+});
+// mutation edits apply to the running simulation right away
+[evolutionMutation, evolutionAntigenShift, evolutionSensitivityShift].forEach(el=>{
+  el.addEventListener('input', ()=>{
+    const evolution = checkedEvolution();
+    if(evolution) sim.setEvolution(evolution);
+  });
+});
+// payload edits apply to the running simulation right away
+[payloadDar, payloadEscape, payloadEc50, payloadHill, payloadMaxKill, payloadPermeability, payloadFieldDecay,
+  payloadUptake, payloadHealthyUptake, payloadEfflux, payloadDecay, payloadHealthyEc50, payloadHealthyRepair].forEach(el=>{
   el.addEventListener('input', ()=>{
-    startAmountVal.textContent = startAmount.value + '%';
-    growthRateVal.textContent = growthRate.value;
-    drugAmountVal.textContent = drugAmount.value;
+    const payload = checkedPayload();
+    if(payload) sim.setPayload(payload);
   });
 });
+overlaySelect.addEventListener('input', ()=>{ draw(); });
 
 // initialize UI values
-startAmountVal.textContent = startAmount.value + '%';
-growthRateVal.textContent = growthRate.value;
-drugAmountVal.textContent = drugAmount.value;
+updateScheduleFields();
+updateAntigenFields();
+updatePKFields();
+updateVesselFields();
+updateTransportFields();
+updateDrugFields();
+updateSliderLabels();
 
-// prepare initial cells so canvas doesn't error before starting
-initCells();
-draw();
+// prepare an empty tissue grid so the canvas shows something before starting
+sim = new Simulation(readConfig());
+buildDrugDoseControls();
+redraw();
+updatePlayControls();
@@ -0,0 +1,2320 @@
+// Cancer Simulator - headless model
+// Grid of tissue cells where cancer grows from neighbors, plus BsADC drug particles
+// that flow through the blood vessels (by default a curved vessel on the right) and leach into the tissue.
+// No DOM access here: script.js draws a Simulation onto the canvas, and Node can
+// require() this file to script batch runs.
+
+// default configuration; keys mirror the sidebar sliders
+const DEFAULT_CONFIG = {
+  width: 900,        // scene size in pixels (matches simCanvas)
+  height: 560,
+  spacing: 18,       // distance between cell centers (larger spacing -> larger visual cells / smaller-scale scene)
+  startAmount: 5,    // initial tumor cluster size (percent of max seed cluster)
+  drugAmount: 10,    // molecules per dose; also scales particle speeds
+  seed: 1,           // PRNG seed; the same seed and dose ticks replay the same run
+  schedule: null,    // automatic dosing, see scheduledDose(); manual doses can be given on top
+  pk: null,          // plasma pharmacokinetics, see DEFAULT_PK; null = defaults
+  antigen: null,     // target antigen expression of cancer cells, see DEFAULT_ANTIGEN; null = defaults
+  binding: null,     // compound arms and cell receptors, see DEFAULT_BINDING; null = defaults
+  payload: null,     // cytotoxic payload per compound and its dose-response, see DEFAULT_PAYLOAD; null = defaults
+  evolution: null,   // heritable traits and mutation on division, see DEFAULT_EVOLUTION; null = defaults
+  cycle: null,       // cancer cell cycle and division, see DEFAULT_CYCLE; null = defaults
+  oxygen: null,      // oxygen/nutrient supply from the vessel, see DEFAULT_OXYGEN; null = defaults
+  vessels: null,     // vasculature, see normalizeVessels(); null = one curved vessel along the right side
+  angiogenesis: null, // tumor-induced capillary sprouting, see DEFAULT_ANGIOGENESIS; null = defaults
+  extravasation: null, // vessel wall permeability, see DEFAULT_EXTRAVASATION; null = defaults
+  transport: null,   // how compounds move through the tissue, see DEFAULT_TRANSPORT; null = defaults
+  immune: null,      // T cells and macrophages, see DEFAULT_IMMUNE; null = defaults (off)
+  drugs: null,       // drugs given in the run, see normalizeDrugs(); null = the BsADC alone
+  timeline: null,    // snapshots for rewinding, see DEFAULT_TIMELINE; null = defaults
+};
+
+// Every interval ticks the run keeps a snapshot of its state, up to capacity snapshots (the oldest is
+// dropped first; capacity 0 = none), so rewind() can go back to any tick since the oldest one by restoring
+// the snapshot before it and replaying the ticks in between, manual doses included. Advancing or dosing from
+// a rewound tick starts a new branch; the branch left behind stays as the ghost (its metrics and snapshots).
+const DEFAULT_TIMELINE = {
+  interval: 10,   // ticks between snapshots
+  capacity: 100,  // snapshots kept
+};
+
+// A run can combine several drugs. kind 'adc': an antibody-drug conjugate that binds the target antigens
+// and releases dar payload molecules once internalized. 'antibody': a naked antibody without payload that
+// binds the same way and, while bound, kills its cell with adccRate per tick (antibody-dependent cellular
+// cytotoxicity). 'chemo': a free small-molecule drug without targeting whose particles, each carrying dar
+// molecules, dissolve into the payload field where they cross a vessel wall. All payloads share the payload
+// field and dose-response, each molecule counting as potency units. Affinities, dar and escapeFraction left
+// null fall back to the binding and payload settings, pk null to the run's PK; permeabilityFactor scales
+// the vessel wall permeability (small molecules cross easily). Drug 0 is dosed by the run's schedule and
+// drugAmount; the others by their own schedule, and any drug by hand with dose(amount, drugIdx).
+const DEFAULT_DRUG = {
+  id: 'adc', name: 'BsADC', kind: 'adc',
+  sprite: 'compound',     // 'compound' (the BsADC image) | 'y' (antibody glyph) | 'dot'
+  color: '#d04848',
+  affinityA: null, affinityB: null,
+  dar: null, escapeFraction: null,
+  potency: 1,
+  adccRate: 0,
+  permeabilityFactor: 1,
+  pk: null,
+  schedule: null,         // drugs after the first only
+  amount: 10,             // default manual dose
+};
+
+const DRUG_PRESETS = {
+  'adc': [{}],
+  'adc-chemo': [{}, {id: 'chemo', name: 'Free chemo', kind: 'chemo', sprite: 'dot', color: '#e09000', dar: 4, potency: 0.5, permeabilityFactor: 5, amount: 20}],
+  'adc-antibody': [{}, {id: 'mab', name: 'Naked antibody', kind: 'antibody', sprite: 'y', color: '#2878dc', affinityB: 0, adccRate: 0.01, amount: 20}],
+  'two-adcs': [{id: 'adc-a', name: 'ADC anti-A', affinityB: 0}, {id: 'adc-b', name: 'ADC anti-B', color: '#9a50c0', affinityA: 0}],
+};
+
+// Immune cells enter the tissue through the vessel walls: each tick one is recruited with chance
+// baseRecruitment + recruitmentPerSignal x the immunogenic signal, up to maxCells at a time, a
+// macrophageShare of them macrophages. Every payload kill (immunogenic cell death) adds icdStrength to the
+// signal, which decays by signalDecay per tick. Immune cells crawl towards the nearest cancer cell and on
+// contact try to kill it every attackInterval ticks; a T cell's chance is cut by pdl1Suppression (PD-L1 on
+// the tumor) unless the checkpoint inhibitor is given. Immune cells leave after lifetime ticks.
+const DEFAULT_IMMUNE = {
+  enabled: false,
+  checkpointInhibitor: false,
+  baseRecruitment: 0.005,
+  recruitmentPerSignal: 0.01,
+  icdStrength: 1,
+  signalDecay: 0.01,
+  macrophageShare: 0.3,
+  tcellSpeed: 1.5,        // px per tick
+  macrophageSpeed: 0.6,
+  tcellKill: 0.3,         // kill chance per attack
+  macrophageKill: 0.05,
+  pdl1Suppression: 0.8,
+  attackInterval: 10,     // ticks
+  lifetime: 800,          // ticks
+  maxCells: 60,
+};
+
+// 'homing': compounds are aimed at the nearest cancer cell when they are spawned and fly straight to it
+// once in the tissue (the original model). 'diffusion': compounds know nothing about the tumor; in the
+// vessel they follow the blood flow with a random walk, in the tissue they random-walk (step variance
+// 2 x diffusivity per axis per tick) and drift with the interstitial fluid flowing away from the nearest
+// vessel at flowSpeed. Inside the tumor the raised interstitial pressure adds an outward drift of
+// tumorPressure away from the tumor's center. Unbound compounds are cleared after lifetime ticks.
+const DEFAULT_TRANSPORT = {
+  mode: 'homing',     // 'homing' | 'diffusion'
+  diffusivity: 1,     // px^2 per tick
+  flowSpeed: 0.15,    // px per tick
+  tumorPressure: 0.3, // px per tick
+  lifetime: 800,      // ticks
+};
+
+// A compound reaching a vessel wall crosses into the tissue with the wall's permeability, otherwise it is
+// carried on downstream with the flow and leaves the scene. Tumor vasculature is leaky (enhanced
+// permeability and retention): permeability rises from wallPermeability far from the tumor to
+// tumorPermeability at the tumor, falling off with the distance to the nearest cancer cell over eprRange.
+const DEFAULT_EXTRAVASATION = {
+  wallPermeability: 0.1,  // crossing chance per wall contact of normal vessel wall
+  tumorPermeability: 0.8, // crossing chance next to the tumor
+  eprRange: 80,           // pixels
+};
+
+// Once the tumor has at least threshold cells and some of them are hypoxic, it starts a new capillary
+// sprout with sproutRate per tick (at most maxSprouts). A sprout branches off the vessel nearest to a
+// hypoxic cancer cell and its tip grows growthSpeed pixels per tick towards the nearest hypoxic cancer
+// cell until none is left or it reaches maxLength. Sprouts are tube vessels: they supply oxygen and
+// carry drug particles. An anti-angiogenic co-therapy scales sprouting and tip growth by (1 - inhibition).
+const DEFAULT_ANGIOGENESIS = {
+  threshold: 150,    // tumor cells before sprouting starts
+  sproutRate: 0.01,  // chance per tick of starting a sprout
+  growthSpeed: 0.8,  // tip growth in pixels per tick
+  radius: 4,         // sprout radius in pixels
+  maxSprouts: 8,
+  maxLength: 300,    // pixels
+  inhibition: 0,     // anti-angiogenic inhibition, 0..1
+};
+
+// Vessels come in two kinds. A 'band' is everything right of the curved boundary
+// x(y) = x*width + slope*y + amplitude*sin(freq*y + phase) (phase null = random per run); blood flows
+// down it. A 'tube' is a polyline centerline (points [[x, y], ...] in canvas pixels) with a radius; blood
+// flows from its first point to its last. A tube whose first point lies inside another vessel branches
+// off it, so branching networks are built from several tubes. Particles follow the flow of the vessel
+// they are in and leave it through any wall.
+const DEFAULT_BAND = {type: 'band', x: 0.62, slope: 0.18, amplitude: 26, freq: 0.010, phase: null};
+
+const VESSEL_PRESETS = {
+  single: [DEFAULT_BAND],
+  'two-sided': [DEFAULT_BAND, {type: 'tube', points: [[330, 0], [360, 280], [320, 560]], radius: 20}],
+  branching: [DEFAULT_BAND,
+    {type: 'tube', points: [[660, 120], [520, 170], [380, 200], [230, 190]], radius: 9},
+    {type: 'tube', points: [[520, 170], [450, 300], [420, 430]], radius: 7},
+    {type: 'tube', points: [[380, 200], [300, 320], [200, 360]], radius: 6}],
+};
+
+// Oxygen (standing in for nutrients too) is held at 1 inside the vessel and diffuses into the tissue,
+// where cells consume it (cancer cells faster than healthy ones). Healthy tissue is also resupplied by
+// its own capillary bed (perfusion); tumor tissue is not, so it depends on diffusion from the vessel.
+// Below hypoxiaThreshold a cancer cell's cycle slows in proportion to its oxygen; below necrosisThreshold
+// it turns necrotic with necrosisRate per tick, so large tumors grow a necrotic core.
+const DEFAULT_OXYGEN = {
+  diffusion: 0.5,             // share of the gap to the neighbors' mean closed per substep
+  perfusion: 0.02,            // share of the gap to full oxygen refilled in healthy tissue per substep
+  healthyConsumption: 0.002,  // share of local oxygen a healthy cell consumes per substep
+  cancerConsumption: 0.012,   // the same for cancer cells
+  hypoxiaThreshold: 0.3,      // below this a cancer cell's cycle slows down
+  necrosisThreshold: 0.1,     // below this a cancer cell may turn necrotic
+  necrosisRate: 0.02,         // chance per tick of turning necrotic below the necrosis threshold
+};
+const OXYGEN_SUBSTEPS = 2;
+
+// Every cancer cell runs a cell cycle of about doublingTime ticks (spread by variability). At the end
+// of the cycle it divides into a free adjacent grid slot; with none free it stays arrested at the
+// checkpoint (contact inhibition) and retries every tick. The last dividingFraction of the cycle is the
+// dividing phase, during which the cell's payload sensitivity is multiplied by dividingSensitivity.
+const DEFAULT_CYCLE = {
+  doublingTime: 300,        // ticks per cell cycle
+  variability: 0.2,         // relative spread (sd) of cycle lengths between cells
+  dividingFraction: 0.15,   // share of the cycle spent in the dividing phase
+  dividingSensitivity: 2,   // payload sensitivity multiplier in the dividing phase
+};
+
+// Each internalized compound releases dar payload molecules. Each one either stays in the host cell
+// or escapes into the interstitial payload field (escapeFraction). The field lives on the cell grid:
+// it diffuses between neighboring grid points (permeability), decays, drains into the vessel and is
+// taken up by cancer and healthy cells, which also leak payload back out (efflux) and release all of
+// it when they die. A cancer cell dies each tick with probability maxKill * P^hill / (ec50^hill + P^hill)
+// for its intracellular payload P. Healthy cells lose that much viability per tick instead, against
+// their own healthyEc50, recover healthyRepair per tick once payload-free and die at viability 0.
+const DEFAULT_PAYLOAD = {
+  dar: 4,                  // drug-to-antibody ratio: payload molecules per compound
+  escapeFraction: 0.5,     // share of released payload leaving the host cell into the field
+  ec50: 2,                 // intracellular payload for half the maximal kill rate
+  hill: 2,                 // Hill coefficient (steepness of the dose-response)
+  maxKill: 0.15,           // kill probability per tick at saturating payload
+  permeability: 0.3,       // share of a grid point's free payload diffusing to its 8 neighbors per tick
+  fieldDecay: 0.02,        // share of free payload cleared per tick
+  uptakeRate: 0.1,         // share of local free payload a cancer cell takes up per tick
+  healthyUptakeRate: 0.05, // the same for healthy cells
+  effluxRate: 0.02,        // share of a cell's payload leaking back into the field per tick
+  decay: 0.01,             // share of a cell's payload metabolized per tick
+  healthyEc50: 4,          // intracellular payload for half the maximal damage to healthy cells
+  healthyRepair: 0.005,    // viability a payload-free healthy cell regains per tick
+};
+// expression of the two target antigens (A, B) on cancer cells, each 0..1 relative to full overexpression.
+// Levels are normally distributed per antigen; 'clustered' draws them from a smooth field so neighboring
+// cells express alike (patches clusterScale cells across), 'random' draws every cell independently.
+const DEFAULT_ANTIGEN = {
+  meanA: 0.8, sdA: 0.15,
+  meanB: 0.6, sdB: 0.2,
+  negativeFraction: 0.05,  // share of cells (or patches, when clustered) expressing neither antigen
+  pattern: 'clustered',    // 'clustered' | 'random'
+  clusterScale: 4,
+};
+
+// Cancer cells belong to clones. A new cancer cell is the daughter of a neighboring cancer cell and
+// inherits its clone and heritable traits (antigen A/B expression, payload sensitivity). With
+// mutationRate per division it founds a new clone instead, its antigen levels shifted by a normal
+// step of sd antigenShift and its payload sensitivity scaled by exp(normal step of sd sensitivityShift).
+// Payload sensitivity multiplies the cell's payload in the dose-response.
+const DEFAULT_EVOLUTION = {
+  mutationRate: 0.01,
+  antigenShift: 0.15,
+  sensitivityShift: 0.3,
+};
+
+// plasma PK for the vessel compartment. 'bolus' drops each dose into the vessel at once;
+// the compartment models infuse doses into plasma and spawn compounds at a rate proportional
+// to the plasma concentration. Amounts are in molecules, time in ticks.
+const DEFAULT_PK = {
+  model: 'bolus',               // 'bolus' | 'one-compartment' | 'two-compartment'
+  infusionRate: 2,              // molecules per tick while a dose is infused (0 = IV push)
+  volume: 10,                   // central (plasma) volume
+  clearance: 0.05,              // central volume cleared per tick
+  peripheralVolume: 20,         // two-compartment: tissue volume
+  interCompartmentClearance: 0.1, // two-compartment: distribution clearance Q
+  spawnRate: 0.05,              // compounds spawned per tick per unit concentration (= clearance: a dose spawns ~its size)
+};
+
+// particle motion tuning
+// increase speeds so drug travels faster
+const vesselSpeedBase = 3.2; // base speed for particles moving inside vessel (increased)
+const leechSpeedBase = 2.4;   // base speed when particle leeches into muscle (increased)
+const MAX_PARTICLES = 1200;   // cap total particles to prevent blowup
+
+// every way a tumor cell can die, and whether it counts as direct binding or bystander effect.
+// Payload deaths are attributed to the source that delivered most of the cell's payload.
+const KILL_CAUSES = {
+  'payload-internalized': 'direct',  // payload released by compounds the cell itself internalized
+  'payload-diffused': 'bystander',   // payload taken up from the interstitial field
+  'immune-tcell': 'immune',          // killed by a T cell
+  'immune-macrophage': 'immune',     // killed by a macrophage
+  'payload-chemo': 'chemo',          // payload from a free chemo drug, taken up from the field
+  'antibody-adcc': 'antibody',       // antibody-dependent cellular cytotoxicity of a bound naked antibody
+  'vessel-sprout': 'vessel',         // overgrown by a growing capillary sprout (angiogenesis)
+};
+// kill categories that are immunogenic cell death and add to the immune signal: the payload kills
+const ICD_CATEGORIES = ['direct', 'bystander', 'chemo'];
+
+// seeded PRNG (mulberry32) so a run can be replayed exactly from its seed
+function makeRng(seed){
+  let a = seed >>> 0;
+  const rng = function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  // makeRng(rng.state()) continues the same sequence
+  rng.state = () => a;
+  return rng;
+}
+
+// numeric seeds are used as-is, any other text is hashed (FNV-1a) to a 32-bit seed
+function parseSeed(text){
+  const s = String(text).trim();
+  if(/^\d+$/.test(s)) return Number(s) >>> 0;
+  let h = 0x811c9dc5;
+  for(let i=0;i<s.length;i++){ h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+
+// --- dosing schedules ---
+// {type:'interval', start, every, amount, count}                          fixed-interval dosing
+// {type:'loading', start, every, loadingAmount, maintenanceAmount, count}   loading dose, then maintenance doses
+// {type:'list', doses:[{tick, amount}]}                                    arbitrary tick-indexed doses
+// count is the total number of doses (0 or missing = unlimited)
+
+// validate a schedule, throwing on anything that would never dose sensibly; returns a clean copy
+function normalizeSchedule(schedule){
+  if(!schedule) return null;
+  const num = (v, name, min) => {
+    const n = Number(v);
+    if(!Number.isFinite(n) || n < min) throw new Error('schedule ' + name + ' must be a number >= ' + min);
+    return n;
+  };
+  // ticks and dose counts are whole numbers: a fractional tick would never come round
+  const whole = (v, name, min) => {
+    const n = num(v, name, min);
+    if(!Number.isInteger(n)) throw new Error('schedule ' + name + ' must be a whole number');
+    return n;
+  };
+  switch(schedule.type){
+    case 'interval':
+      return {type: 'interval', start: whole(schedule.start || 0, 'start', 0), every: whole(schedule.every, 'every', 1),
+        amount: num(schedule.amount, 'amount', 1), count: whole(schedule.count || 0, 'count', 0)};
+    case 'loading':
+      return {type: 'loading', start: whole(schedule.start || 0, 'start', 0), every: whole(schedule.every, 'every', 1),
+        loadingAmount: num(schedule.loadingAmount, 'loadingAmount', 1), maintenanceAmount: num(schedule.maintenanceAmount, 'maintenanceAmount', 1),
+        count: whole(schedule.count || 0, 'count', 0)};
+    case 'list':
+      if(!Array.isArray(schedule.doses)) throw new Error('schedule doses must be a list');
+      return {type: 'list', doses: schedule.doses.map(d => ({tick: whole(d.tick, 'tick', 0), amount: num(d.amount, 'amount', 1)}))
+        .sort((a, b) => a.tick - b.tick)};
+    default:
+      throw new Error('unknown schedule type "' + schedule.type + '"');
+  }
+}
+
+// "tick:amount" pairs separated by commas or whitespace, e.g. "0:30, 200:10"
+function parseDoseList(text){
+  const doses = [];
+  for(const part of String(text).split(/[\s,;]+/)){
+    if(!part) continue;
+    const m = /^(\d+):(\d+(?:\.\d+)?)$/.exec(part);
+    if(!m) throw new Error('expected tick:amount, got "' + part + '"');
+    doses.push({tick: Number(m[1]), amount: Number(m[2])});
+  }
+  return doses;
+}
+
+// amount the schedule gives at this tick (0 when no dose is due)
+function scheduledDose(schedule, tick){
+  if(!schedule) return 0;
+  if(schedule.type === 'list'){
+    let total = 0;
+    for(const d of schedule.doses) if(d.tick === tick) total += d.amount;
+    return total;
+  }
+  if(tick < schedule.start || (tick - schedule.start) % schedule.every !== 0) return 0;
+  const n = (tick - schedule.start) / schedule.every; // 0-based dose number
+  if(schedule.count > 0 && n >= schedule.count) return 0;
+  if(schedule.type === 'loading') return n === 0 ? schedule.loadingAmount : schedule.maintenanceAmount;
+  return schedule.amount;
+}
+
+// --- pharmacokinetics ---
+function normalizePK(pk){
+  const out = Object.assign({}, DEFAULT_PK, pk);
+  if(!['bolus', 'one-compartment', 'two-compartment'].includes(out.model)) throw new Error('unknown PK model "' + out.model + '"');
+  for(const key of ['infusionRate', 'volume', 'clearance', 'peripheralVolume', 'interCompartmentClearance', 'spawnRate']){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('PK ' + key + ' must be a number >= 0');
+  }
+  if(out.volume <= 0 || out.peripheralVolume <= 0) throw new Error('PK volumes must be positive');
+  return out;
+}
+
+// elimination half-life in ticks (terminal beta phase for the two-compartment model)
+function pkHalfLife(pk){
+  const k10 = pk.clearance / pk.volume;
+  if(k10 <= 0) return Infinity;
+  if(pk.model !== 'two-compartment') return Math.LN2 / k10;
+  const k12 = pk.interCompartmentClearance / pk.volume;
+  const k21 = pk.interCompartmentClearance / pk.peripheralVolume;
+  const sum = k10 + k12 + k21;
+  const beta = 0.5 * (sum - Math.sqrt(sum*sum - 4*k21*k10));
+  return Math.LN2 / beta;
+}
+
+// --- antigen expression ---
+function normalizeAntigen(antigen){
+  const out = Object.assign({}, DEFAULT_ANTIGEN, antigen);
+  if(!['clustered', 'random'].includes(out.pattern)) throw new Error('unknown antigen pattern "' + out.pattern + '"');
+  for(const key of ['meanA', 'sdA', 'meanB', 'sdB', 'negativeFraction', 'clusterScale']){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('antigen ' + key + ' must be a number >= 0');
+  }
+  out.clusterScale = Math.max(1, out.clusterScale);
+  return out;
+}
+
+function clamp01(v){ return v < 0 ? 0 : (v > 1 ? 1 : v); }
+
+// standard normal sample (Box-Muller) from the given PRNG
+function gaussian(rng){
+  const u = 1 - rng(), v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// --- clonal evolution ---
+function normalizeEvolution(evolution){
+  const out = Object.assign({}, DEFAULT_EVOLUTION, evolution);
+  for(const key of Object.keys(DEFAULT_EVOLUTION)){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('evolution ' + key + ' must be a number >= 0');
+  }
+  if(out.mutationRate > 1) throw new Error('evolution mutationRate must be at most 1');
+  return out;
+}
+
+// --- cell cycle ---
+function normalizeCycle(cycle){
+  const out = Object.assign({}, DEFAULT_CYCLE, cycle);
+  for(const key of Object.keys(DEFAULT_CYCLE)){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('cycle ' + key + ' must be a number >= 0');
+  }
+  if(out.doublingTime < 1) throw new Error('cycle doublingTime must be at least 1 tick');
+  if(out.dividingFraction > 1) throw new Error('cycle dividingFraction must be at most 1');
+  return out;
+}
+
+// --- oxygen ---
+function normalizeOxygen(oxygen){
+  const out = Object.assign({}, DEFAULT_OXYGEN, oxygen);
+  for(const key of Object.keys(DEFAULT_OXYGEN)){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0 || out[key] > 1) throw new Error('oxygen ' + key + ' must be a number between 0 and 1');
+  }
+  return out;
+}
+
+// --- vasculature ---
+function normalizeVessels(vessels){
+  if(vessels === null || vessels === undefined) vessels = VESSEL_PRESETS.single;
+  if(!Array.isArray(vessels) || vessels.length === 0) throw new Error('vessels must be a non-empty list');
+  return vessels.map((v, i) => {
+    const where = 'vessel ' + (i+1) + ': ';
+    if(!v || typeof v !== 'object') throw new Error(where + 'must be an object');
+    if(v.type === 'band'){
+      const out = Object.assign({}, DEFAULT_BAND, v);
+      for(const key of ['x', 'slope', 'amplitude', 'freq']){
+        out[key] = Number(out[key]);
+        if(!Number.isFinite(out[key])) throw new Error(where + key + ' must be a number');
+      }
+      if(out.phase !== null){
+        out.phase = Number(out.phase);
+        if(!Number.isFinite(out.phase)) throw new Error(where + 'phase must be a number or null');
+      }
+      return out;
+    }
+    if(v.type === 'tube'){
+      const radius = Number(v.radius);
+      if(!Number.isFinite(radius) || radius <= 0) throw new Error(where + 'radius must be positive');
+      if(!Array.isArray(v.points) || v.points.length < 2) throw new Error(where + 'needs at least 2 points');
+      const points = v.points.map(p => {
+        if(!Array.isArray(p) || p.length !== 2 || !p.every(n => Number.isFinite(Number(n)))) throw new Error(where + 'points must be [x, y] pairs');
+        return [Number(p[0]), Number(p[1])];
+      });
+      return {type: 'tube', points, radius};
+    }
+    throw new Error(where + 'unknown type "' + v.type + '" (band or tube)');
+  });
+}
+
+// x of a band's wall at height y
+function bandBoundaryX(v, y){
+  return v.x0 + v.slope * y + v.amplitude * Math.sin(v.freq * y + v.phase);
+}
+
+// where (x, y) is relative to vessel v: inside or not, depth (distance to the wall, negative outside),
+// flow direction and the outward wall normal there
+function vesselGeometry(v, x, y){
+  if(v.type === 'band'){
+    const dxdy = v.slope + v.amplitude * v.freq * Math.cos(v.freq * y + v.phase);
+    const bx = bandBoundaryX(v, y);
+    const normal = normalized(-1, dxdy);
+    if(normal.x > 0){ normal.x = -normal.x; normal.y = -normal.y; }
+    // the band's flow leans towards its wall, as in the original model; downstream runs along the wall
+    return {inside: x >= bx, depth: (x - bx) / Math.hypot(1, dxdy), flow: normalized(-1, -dxdy), downstream: normalized(dxdy, 1), normal};
+  }
+  let best = null;
+  const pts = v.points;
+  for(let k=0;k<pts.length-1;k++){
+    const ax = pts[k][0], ay = pts[k][1], bx = pts[k+1][0], by = pts[k+1][1];
+    const sx = bx - ax, sy = by - ay;
+    const len2 = sx*sx + sy*sy || 1;
+    const t = Math.max(0, Math.min(1, ((x - ax)*sx + (y - ay)*sy) / len2));
+    const cx = ax + sx*t, cy = ay + sy*t;
+    const d = Math.hypot(x - cx, y - cy);
+    if(!best || d < best.d) best = {d, cx, cy, sx, sy};
+  }
+  const flow = normalized(best.sx, best.sy);
+  const normal = best.d > 1e-6 ? {x: (x - best.cx) / best.d, y: (y - best.cy) / best.d} : {x: -flow.y, y: flow.x};
+  return {inside: best.d <= v.radius, depth: v.radius - best.d, flow, downstream: flow, normal, centerDistance: best.d / v.radius};
+}
+
+// --- extravasation ---
+function normalizeExtravasation(extravasation){
+  const out = Object.assign({}, DEFAULT_EXTRAVASATION, extravasation);
+  for(const key of Object.keys(DEFAULT_EXTRAVASATION)){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('extravasation ' + key + ' must be a number >= 0');
+  }
+  for(const key of ['wallPermeability', 'tumorPermeability']){
+    if(out[key] > 1) throw new Error('extravasation ' + key + ' must be at most 1');
+  }
+  if(out.eprRange <= 0) throw new Error('extravasation eprRange must be positive');
+  return out;
+}
+
+// wall permeability at distance d (pixels) from the nearest cancer cell; Infinity = no tumor
+function wallPermeability(extravasation, d){
+  const e = extravasation;
+  return e.wallPermeability + (e.tumorPermeability - e.wallPermeability) * Math.exp(-d / e.eprRange);
+}
+
+// --- interstitial transport ---
+function normalizeTransport(transport){
+  const out = Object.assign({}, DEFAULT_TRANSPORT, transport);
+  if(!['homing', 'diffusion'].includes(out.mode)) throw new Error('unknown transport mode "' + out.mode + '"');
+  for(const key of ['diffusivity', 'flowSpeed', 'tumorPressure', 'lifetime']){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('transport ' + key + ' must be a number >= 0');
+  }
+  if(out.lifetime < 1) throw new Error('transport lifetime must be at least 1 tick');
+  return out;
+}
+
+// --- immune system ---
+function normalizeImmune(immune){
+  const out = Object.assign({}, DEFAULT_IMMUNE, immune);
+  out.enabled = Boolean(out.enabled);
+  out.checkpointInhibitor = Boolean(out.checkpointInhibitor);
+  for(const key of Object.keys(DEFAULT_IMMUNE)){
+    if(typeof DEFAULT_IMMUNE[key] === 'boolean') continue;
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('immune ' + key + ' must be a number >= 0');
+  }
+  for(const key of ['baseRecruitment', 'signalDecay', 'macrophageShare', 'tcellKill', 'macrophageKill', 'pdl1Suppression']){
+    if(out[key] > 1) throw new Error('immune ' + key + ' must be at most 1');
+  }
+  out.attackInterval = Math.max(1, Math.round(out.attackInterval));
+  out.maxCells = Math.round(out.maxCells);
+  return out;
+}
+
+// --- angiogenesis ---
+function normalizeAngiogenesis(angiogenesis){
+  const out = Object.assign({}, DEFAULT_ANGIOGENESIS, angiogenesis);
+  for(const key of Object.keys(DEFAULT_ANGIOGENESIS)){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('angiogenesis ' + key + ' must be a number >= 0');
+  }
+  for(const key of ['sproutRate', 'inhibition']){
+    if(out[key] > 1) throw new Error('angiogenesis ' + key + ' must be at most 1');
+  }
+  if(out.radius <= 0) throw new Error('angiogenesis radius must be positive');
+  out.maxSprouts = Math.round(out.maxSprouts);
+  return out;
+}
+
+// --- binding ---
+// Each compound has an arm for antigen A and one for B (affinity 0 = arm absent, i.e. a monospecific
+// design). Cells carry receptorsPerCell receptors per antigen at full expression. On contact an arm
+// engages with probability affinity x free receptors / receptorsPerCell, so binding falls off as a
+// cell's receptors are occupied (saturation). A bound compound can engage its second arm later, and
+// with both arms bound it lets go far less often (avidity). After internalizeTicks bound it is taken
+// into the cell, consuming its receptors, and releases its payload releaseTicks later.
+const DEFAULT_BINDING = {
+  affinityA: 0.8,
+  affinityB: 0.8,
+  receptorsPerCell: 4,
+  contactRange: 9,        // px beyond the cell radius at which a compound touches it
+  offRate: 0.05,          // per-tick chance a compound bound by one arm lets go
+  avidityFactor: 0.1,     // off-rate multiplier with both arms bound
+  internalizeTicks: 12,
+  releaseTicks: 8,
+  receptorRecovery: 0.01, // per-tick chance a cell re-expresses one internalized receptor
+};
+
+function normalizeBinding(binding){
+  const out = Object.assign({}, DEFAULT_BINDING, binding);
+  for(const key of Object.keys(DEFAULT_BINDING)){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('binding ' + key + ' must be a number >= 0');
+  }
+  for(const key of ['affinityA', 'affinityB', 'offRate', 'avidityFactor', 'receptorRecovery']){
+    if(out[key] > 1) throw new Error('binding ' + key + ' must be at most 1');
+  }
+  if(out.affinityA === 0 && out.affinityB === 0) throw new Error('at least one arm needs an affinity above 0');
+  out.receptorsPerCell = Math.max(1, Math.round(out.receptorsPerCell));
+  return out;
+}
+
+// receptors of antigen arm ('A' | 'B') a cell shows at its expression level
+function maxReceptors(cell, arm, binding){
+  return Math.round(cell['antigen' + arm] * binding.receptorsPerCell);
+}
+
+// chance one arm engages this cell now
+function armBindChance(cell, arm, binding){
+  const free = cell['receptors' + arm] - cell['occupied' + arm];
+  return binding['affinity' + arm] * Math.max(0, free) / binding.receptorsPerCell;
+}
+
+// chance a compound touching this cell binds it with at least one arm
+function bindingProbability(cell, binding){
+  return 1 - (1 - armBindChance(cell, 'A', binding)) * (1 - armBindChance(cell, 'B', binding));
+}
+
+// --- payload ---
+function normalizePayload(payload){
+  const out = Object.assign({}, DEFAULT_PAYLOAD, payload);
+  for(const key of Object.keys(DEFAULT_PAYLOAD)){
+    out[key] = Number(out[key]);
+    if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error('payload ' + key + ' must be a number >= 0');
+  }
+  for(const key of ['escapeFraction', 'maxKill', 'permeability', 'fieldDecay', 'uptakeRate', 'healthyUptakeRate', 'effluxRate', 'decay']){
+    if(out[key] > 1) throw new Error('payload ' + key + ' must be at most 1');
+  }
+  out.dar = Math.round(out.dar);
+  if(out.ec50 <= 0) throw new Error('payload ec50 must be positive');
+  if(out.healthyEc50 <= 0) throw new Error('payload healthyEc50 must be positive');
+  return out;
+}
+
+// Hill curve: 0 at no payload, 0.5 at ec50, approaching 1 at saturation
+function hillResponse(amount, ec50, hill){
+  if(amount <= 0) return 0;
+  const a = Math.pow(amount, hill);
+  return a / (Math.pow(ec50, hill) + a);
+}
+
+// per-tick kill probability for a cancer cell holding this much payload
+function payloadKillProbability(amount, payload){
+  return payload.maxKill * hillResponse(amount, payload.ec50, payload.hill);
+}
+
+// per-tick viability loss of a healthy cell holding this much payload
+function healthyDamage(amount, payload){
+  return payload.maxKill * hillResponse(amount, payload.healthyEc50, payload.hill);
+}
+
+// --- drugs ---
+function normalizeDrugs(drugs){
+  if(drugs === null || drugs === undefined) drugs = DRUG_PRESETS.adc;
+  if(!Array.isArray(drugs) || drugs.length === 0) throw new Error('drugs must be a non-empty list');
+  const ids = new Set();
+  return drugs.map((d, i) => {
+    const where = 'drug ' + (i+1) + ': ';
+    if(!d || typeof d !== 'object') throw new Error(where + 'must be an object');
+    const out = Object.assign({}, DEFAULT_DRUG, d);
+    out.id = String(out.id);
+    if(ids.has(out.id)) throw new Error(where + 'duplicate id "' + out.id + '"');
+    ids.add(out.id);
+    out.name = String(out.name);
+    if(!['adc', 'antibody', 'chemo'].includes(out.kind)) throw new Error(where + 'unknown kind "' + out.kind + '"');
+    if(!['compound', 'y', 'dot'].includes(out.sprite)) throw new Error(where + 'unknown sprite "' + out.sprite + '"');
+    for(const key of ['affinityA', 'affinityB', 'dar', 'escapeFraction']){
+      if(out[key] === null) continue;
+      out[key] = Number(out[key]);
+      if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error(where + key + ' must be a number >= 0');
+      if(key !== 'dar' && out[key] > 1) throw new Error(where + key + ' must be at most 1');
+    }
+    if(out.affinityA === 0 && out.affinityB === 0) throw new Error(where + 'needs an arm with affinity above 0');
+    if(out.dar !== null) out.dar = Math.round(out.dar);
+    if(out.kind === 'antibody'){
+      if(out.dar) throw new Error(where + 'a naked antibody carries no payload (dar must be 0)');
+      out.dar = 0;
+    }
+    for(const key of ['potency', 'adccRate', 'permeabilityFactor', 'amount']){
+      out[key] = Number(out[key]);
+      if(!Number.isFinite(out[key]) || out[key] < 0) throw new Error(where + key + ' must be a number >= 0');
+    }
+    if(out.adccRate > 1) throw new Error(where + 'adccRate must be at most 1');
+    if(out.pk !== null) out.pk = normalizePK(out.pk);
+    if(i === 0 && out.schedule) throw new Error(where + 'the first drug is dosed by the run\'s schedule');
+    out.schedule = normalizeSchedule(out.schedule);
+    return out;
+  });
+}
+
+// config keys that can be changed mid-run (see Simulation.change()), with their normalize functions
+const RUN_SETTINGS = {
+  drugAmount: amount => {
+    const n = Number(amount);
+    if(!Number.isFinite(n) || n <= 0) throw new Error('drugAmount must be a number above 0');
+    return n;
+  },
+  schedule: normalizeSchedule,
+  pk: normalizePK,
+  binding: normalizeBinding,
+  payload: normalizePayload,
+  evolution: normalizeEvolution,
+  cycle: normalizeCycle,
+  oxygen: normalizeOxygen,
+  angiogenesis: normalizeAngiogenesis,
+  extravasation: normalizeExtravasation,
+  transport: normalizeTransport,
+  immune: normalizeImmune,
+};
+
+// --- scenarios ---
+// {format: SCENARIO_FORMAT, version, config, vessels, inputs, snapshot}
+// config is the config the run started with (seed and dosing schedules included); vessels is the run's
+// geometry (band phases, sprouts); inputs lists what was done to the run by hand, in order: doses
+// ({tick, type: 'dose', drug: index, amount}) and settings changes ({tick, type: 'setting', key, value}),
+// applied again at their ticks when the scenario is replayed from tick 0; snapshot (optional, see
+// Simulation.snapshot()) is the full run state
+const SCENARIO_FORMAT = 'cancer-simulator-scenario';
+const SCENARIO_VERSION = 2;
+// exportKillLedger() files open as scenarios too, at tick 0 of their run
+const KILL_LEDGER_FORMAT = 'cancer-simulator-kill-ledger';
+const KILL_LEDGER_VERSION = 2;
+
+// the doses of a version 1 delivery list (see deliverySummary()) that did not come from a schedule
+function handDoses(deliveries){
+  return deliveries.filter(d => !d.scheduled || d.planned).map(d => ({tick: d.tick, drug: d.drugIdx, amount: d.amount}));
+}
+
+const doseInput = d => ({tick: d.tick, type: 'dose', drug: d.drug, amount: d.amount});
+
+// upgrade steps, keyed by the version they upgrade from
+const SCENARIO_MIGRATIONS = {
+  // version 1 kept the config of the end of the run and only the doses: it replays with those settings
+  // from tick 0, as version 1 did
+  1: data => {
+    let snapshot = data.snapshot;
+    if(snapshot){
+      snapshot = Object.assign({}, snapshot, {inputs: handDoses(snapshot.deliveries || []).map(doseInput),
+        plannedInputs: (snapshot.plannedDoses || []).map(doseInput)});
+      delete snapshot.plannedDoses;
+    }
+    const out = Object.assign({}, data, {version: 2, inputs: (data.doses || []).map(doseInput), snapshot});
+    delete out.doses;
+    return out;
+  },
+};
+
+// a kill ledger carries its run's starting config (seed included) and inputs but no state
+function scenarioFromKillLedger(ledger){
+  if(!Number.isInteger(ledger.version) || ledger.version < 1) throw new Error('kill ledger has no valid version');
+  if(ledger.version > KILL_LEDGER_VERSION) throw new Error('kill ledger version ' + ledger.version + ' is newer than this simulator (' + KILL_LEDGER_VERSION + ')');
+  if(ledger.version === 1) return {format: SCENARIO_FORMAT, version: 1, config: ledger.config, vessels: null, doses: handDoses(ledger.delivery || []), snapshot: null};
+  return {format: SCENARIO_FORMAT, version: 2, config: ledger.startConfig, vessels: null, inputs: ledger.inputs, snapshot: null};
+}
+
+// bring a parsed scenario file of any supported version up to SCENARIO_VERSION, throwing on anything else
+function migrateScenario(data){
+  if(!data || typeof data !== 'object') throw new Error('scenario must be a JSON object');
+  if(data.format === KILL_LEDGER_FORMAT) data = scenarioFromKillLedger(data);
+  if(data.format !== SCENARIO_FORMAT) throw new Error('not a scenario file');
+  if(!Number.isInteger(data.version) || data.version < 1) throw new Error('scenario has no valid version');
+  if(data.version > SCENARIO_VERSION) throw new Error('scenario version ' + data.version + ' is newer than this simulator (' + SCENARIO_VERSION + ')');
+  while(data.version < SCENARIO_VERSION) data = SCENARIO_MIGRATIONS[data.version](data);
+  if(!data.config || typeof data.config !== 'object') throw new Error('scenario has no config');
+  const inputs = (data.inputs || []).map((input, i) => {
+    const where = 'scenario input ' + (i+1), tick = Number(input.tick);
+    if(!Number.isInteger(tick) || tick < 0) throw new Error(where + ' needs a whole tick >= 0');
+    if(input.type === 'dose'){
+      const dose = {tick, type: 'dose', drug: Number(input.drug || 0), amount: Number(input.amount)};
+      if(!Number.isInteger(dose.drug) || dose.drug < 0 || !(dose.amount > 0)) throw new Error(where + ' needs a drug index and an amount above 0');
+      return dose;
+    }
+    if(input.type === 'setting'){
+      if(!Object.prototype.hasOwnProperty.call(RUN_SETTINGS, input.key)) throw new Error(where + ' changes an unknown setting "' + input.key + '"');
+      return {tick, type: 'setting', key: input.key, value: RUN_SETTINGS[input.key](input.value)};
+    }
+    throw new Error(where + ' has an unknown type "' + input.type + '"');
+  });
+  // a stable sort: inputs at the same tick keep their order
+  return Object.assign({}, data, {inputs: inputs.sort((a, b) => a.tick - b.tick)});
+}
+
+// --- timeline ---
+function normalizeTimeline(timeline){
+  const out = Object.assign({}, DEFAULT_TIMELINE, timeline);
+  for(const key of Object.keys(DEFAULT_TIMELINE)){
+    out[key] = Number(out[key]);
+    if(!Number.isInteger(out[key]) || out[key] < 0) throw new Error('timeline ' + key + ' must be a whole number >= 0');
+  }
+  if(out.interval < 1) throw new Error('timeline interval must be at least 1 tick');
+  return out;
+}
+
+// a Simulation set up from a scenario: at its snapshot if it has one, otherwise seeded at tick 0
+function loadScenario(data){
+  const scenario = migrateScenario(data);
+  const sim = new Simulation(scenario.config);
+  if(scenario.snapshot){
+    sim.restore(scenario.snapshot);
+    sim.recordTimeline();
+  } else {
+    // keep the saved geometry should this version of the model place the vessels differently
+    if(scenario.vessels) sim.restore({vessels: scenario.vessels});
+    sim.seed();
+    sim.plannedInputs = scenario.inputs;
+  }
+  return sim;
+}
+
+function normalized(vx, vy){
+  const m = Math.hypot(vx, vy) || 1;
+  return {x: vx/m, y: vy/m};
+}
+
+class Simulation {
+  constructor(config){
+    this.config = Object.assign({}, DEFAULT_CONFIG, config);
+    this.config.schedule = normalizeSchedule(this.config.schedule);
+    this.config.pk = normalizePK(this.config.pk);
+    this.config.antigen = normalizeAntigen(this.config.antigen);
+    this.config.binding = normalizeBinding(this.config.binding);
+    this.config.payload = normalizePayload(this.config.payload);
+    this.config.evolution = normalizeEvolution(this.config.evolution);
+    this.config.cycle = normalizeCycle(this.config.cycle);
+    this.config.oxygen = normalizeOxygen(this.config.oxygen);
+    this.config.vessels = normalizeVessels(this.config.vessels);
+    this.config.angiogenesis = normalizeAngiogenesis(this.config.angiogenesis);
+    this.config.extravasation = normalizeExtravasation(this.config.extravasation);
+    this.config.transport = normalizeTransport(this.config.transport);
+    this.config.immune = normalizeImmune(this.config.immune);
+    this.config.drugs = normalizeDrugs(this.config.drugs);
+    this.config.timeline = normalizeTimeline(this.config.timeline);
+    this.drugs = this.config.drugs;
+    // what the run started with; RUN_SETTINGS changed later are recorded in inputs
+    this.startConfig = JSON.parse(JSON.stringify(this.config));
+    this.buildDrugBindings();
+    this.reset();
+  }
+
+  // fresh PRNG, vessel shape and empty tissue grid; call seed() to place the tumor
+  reset(){
+    const cfg = this.config;
+    this.cols = Math.floor(cfg.width / cfg.spacing);
+    this.rows = Math.floor(cfg.height / cfg.spacing);
+    this.rng = makeRng(cfg.seed);
+    // vessels of this run: bands get their pixel position and (if not fixed) a random phase
+    this.vessels = cfg.vessels.map(v => v.type === 'band'
+      ? Object.assign({}, v, {x0: Math.floor(cfg.width * v.x), phase: v.phase === null ? this.rng()*Math.PI*2 : v.phase})
+      : {type: 'tube', points: v.points.map(p => p.slice()), radius: v.radius});
+    this.particles = [];
+    this.tick = 0;
+    this.doseTicks = [];
+    this.deliveries = []; // per dose: {tick, amount, scheduled, spawned, extravasated, washedOut}, index = compound doseIdx
+    this.inputs = []; // doses given and settings changed by hand, in order (see change()); planned: from a loaded scenario
+    this.immuneCells = []; // {id, type: 'tcell' | 'macrophage', x, y, ttl, cooldown, kills}
+    this.icdSignal = 0;    // immunogenic signal from payload kills, see DEFAULT_IMMUNE
+    this.kills = [];   // kill ledger: {tick, cellIdx, cause, compoundId}
+    // PK state per drug, amounts in molecules
+    this.plasmas = this.drugs.map(() => ({central: 0, peripheral: 0, infusing: 0, spawnCarry: 0}));
+    this.plasma = this.plasmas[0];
+    this.compoundDrugs = new Map(); // compound id -> drug index, for attributing payload kills
+    this.nextParticleId = 1;
+    this.history = []; // one metrics entry per tick, see recordMetrics()
+    this.clones = [];  // clone registry: {id, parentId, tick, antigenA, antigenB, sensitivity}, index = id
+    this.timeline = []; // ring buffer of {tick, inputs: inputs so far, state: snapshot() as JSON}, see DEFAULT_TIMELINE
+    this.branch = null; // while rewound: the branch's {history, inputs, tick} as it was before rewinding
+    this.ghost = null;  // the previous branch: {fromTick, history, timeline}
+    this.replaying = false;
+    this.plannedInputs = []; // inputs of a loaded scenario still to be applied, in tick order
+    this.initCells();
+  }
+
+  initCells(){
+    const {spacing} = this.config;
+    this.cells = [];
+    for(let iy=0; iy<this.rows; iy++){
+      for(let ix=0; ix<this.cols; ix++){
+        const x = spacing/2 + ix * spacing;
+        const y = spacing/2 + iy * spacing;
+        // state: 0 healthy tissue, 1 cancer, 2 dead healthy tissue, 3 necrotic tumor
+        this.cells.push({x, y, state: 0, size: 0, payload: 0, viability: 1});
+      }
+    }
+    // free payload per grid point and the last compound whose payload reached it (kill attribution)
+    this.payloadField = new Float64Array(this.cells.length);
+    this.payloadFieldCompound = new Array(this.cells.length).fill(null);
+    this.buildVesselCells();
+    this.oxygen = new Float64Array(this.cells.length);
+    this.settleOxygen();
+  }
+
+  // which grid points lie inside a vessel, and the neighborhoods of the tissue points; call again
+  // whenever the vessels change
+  buildVesselCells(){
+    const half = this.config.spacing / 2;
+    this.vesselCells = new Uint8Array(this.cells.length);
+    for(let i=0;i<this.cells.length;i++){
+      const c = this.cells[i];
+      // a tube thinner than a grid cell still occupies the grid points it passes
+      for(const v of this.vessels){
+        const g = vesselGeometry(v, c.x, c.y);
+        if(g.inside || (v.type === 'tube' && g.depth >= v.radius - half)){ this.vesselCells[i] = 1; break; }
+      }
+    }
+    // 8-neighborhood of every tissue (non-vessel) cell, for payload diffusion
+    this.tissueNeighbors = this.cells.map((c, idx) => {
+      if(this.vesselCells[idx]) return [];
+      const out = [];
+      const ix = idx % this.cols, iy = Math.floor(idx / this.cols);
+      for(let oy=-1; oy<=1; oy++) for(let ox=-1; ox<=1; ox++){
+        if(ox===0 && oy===0) continue;
+        const nidx = this.cellIndex(ix+ox, iy+oy);
+        if(nidx>=0 && !this.vesselCells[nidx]) out.push(nidx);
+      }
+      return out;
+    });
+    // 4-neighborhood of every tissue cell including vessel grid points, for oxygen diffusion
+    this.oxygenNeighbors = this.cells.map((c, idx) => {
+      if(this.vesselCells[idx]) return [];
+      const ix = idx % this.cols, iy = Math.floor(idx / this.cols);
+      return [[1,0],[-1,0],[0,1],[0,-1]].map(([ox, oy]) => this.cellIndex(ix+ox, iy+oy)).filter(n => n >= 0);
+    });
+    // vessel areas, for spreading spawned compounds over the vasculature
+    const {width, height} = this.config;
+    this.vesselAreas = this.vessels.map(v => {
+      if(v.type === 'band'){
+        let area = 0;
+        for(let y=0; y<height; y+=4) area += 4 * Math.max(0, width - bandBoundaryX(v, y));
+        return area;
+      }
+      let length = 0;
+      for(let k=0;k<v.points.length-1;k++) length += Math.hypot(v.points[k+1][0] - v.points[k][0], v.points[k+1][1] - v.points[k][1]);
+      return length * 2 * v.radius;
+    });
+  }
+
+  // run the oxygen field towards its steady state for the current tissue
+  settleOxygen(){
+    for(let k=0;k<100;k++) this.stepOxygen();
+  }
+
+  // place the initial connected tumor cluster next to the vessel
+  seed(){
+    const {spacing, height} = this.config;
+    const cells = this.cells, rng = this.rng;
+    // clear any existing tumor and the sprouts it induced
+    if(this.vessels.some(v => v.sprout)){
+      this.vessels = this.vessels.filter(v => !v.sprout);
+      this.buildVesselCells();
+    }
+    this.immuneCells = [];
+    this.icdSignal = 0;
+    for(const c of cells){ c.state = 0; c.size = 0; c.payload = 0; c.viability = 1; }
+    this.payloadField.fill(0);
+    this.payloadFieldCompound.fill(null);
+    this.settleOxygen();
+    // the seeded tumor is the founder clone 0; its cells' antigen levels vary as configured
+    this.clones = [{id: 0, parentId: null, tick: 0, antigenA: null, antigenB: null, sensitivity: 1}];
+    this.buildAntigenField();
+    // number of cells to seed based on slider (scaled)
+    const pct = Math.max(0, Math.min(100, Number(this.config.startAmount)));
+    const targetCount = Math.max(3, Math.round((pct/100) * 45));
+
+    // choose a center y near middle and just outside the first vessel's wall (muscle side)
+    const yc = height * (0.35 + rng()*0.3);
+    const site = this.seedSite(yc);
+    const xc = site.x;
+
+    // find nearest grid cell to (xc,yc)
+    const centerIx = Math.round((xc - spacing/2) / spacing);
+    const centerIy = Math.round((site.y - spacing/2) / spacing);
+    const startIdx = this.cellIndex(centerIx, centerIy) >=0 ? this.cellIndex(centerIx, centerIy) : Math.floor(cells.length/2);
+
+    // simple BFS/expansion to create a connected cluster
+    const q = [startIdx];
+    const seen = new Set([startIdx]);
+    let seeded = 0;
+    while(q.length>0 && seeded < targetCount){
+      const idx = q.shift();
+      if(idx<0 || idx>=cells.length) continue;
+      const c = cells[idx];
+      if(this.vesselCells[idx]) continue; // don't seed inside vessel
+      if(c.state===0){
+        this.initCancerCell(idx, 12 + rng()*10); seeded++;
+      }
+      // push neighbors in random order
+      const ix = Math.round((c.x - spacing/2) / spacing);
+      const iy = Math.round((c.y - spacing/2) / spacing);
+      const neigh = [];
+      for(let oy=-1; oy<=1; oy++) for(let ox=-1; ox<=1; ox++) if(!(ox===0 && oy===0)) neigh.push([ix+ox, iy+oy]);
+      // shuffle
+      for(let i=neigh.length-1;i>0;i--){ const j=Math.floor(rng()*(i+1)); const t=neigh[i]; neigh[i]=neigh[j]; neigh[j]=t; }
+      for(const [nx,ny] of neigh){
+        const nidx = this.cellIndex(nx, ny);
+        if(nidx>=0 && !seen.has(nidx)) { seen.add(nidx); q.push(nidx); }
+      }
+    }
+    this.history = [];
+    this.recordMetrics();
+    this.timeline = [];
+    this.branch = null;
+    this.ghost = null;
+    this.recordTimeline();
+  }
+
+  // replace one of the RUN_SETTINGS mid-run (throws if invalid). The change is recorded in inputs with its
+  // tick, so a replay of the run (rewind(), a scenario) makes it at the same point; an unchanged value is a
+  // no-op. Like a dose, a change at a rewound tick starts a new branch
+  change(key, value){
+    const normalized = RUN_SETTINGS[key](value);
+    if(JSON.stringify(normalized) === JSON.stringify(this.config[key])) return;
+    this.fork();
+    this.config[key] = normalized;
+    if(key === 'binding') this.buildDrugBindings();
+    this.inputs.push({tick: this.tick, type: 'setting', key, value: JSON.parse(JSON.stringify(normalized))});
+  }
+
+  // a recorded input (see inputs) applied again
+  applyInput(input){
+    if(input.type === 'dose') this.dose(input.amount, input.drug);
+    else this.change(input.key, input.value);
+  }
+
+  // molecules per dose of the first drug mid-run; also scales particle speeds
+  setDrugAmount(amount){
+    this.change('drugAmount', amount);
+  }
+
+  // replace the dosing schedule mid-run (null = manual dosing only)
+  setSchedule(schedule){
+    this.change('schedule', schedule);
+  }
+
+  // replace binding parameters mid-run; compounds already bound keep their arms
+  setBinding(binding){
+    this.change('binding', binding);
+  }
+
+  // replace payload and dose-response parameters mid-run; payload already in cells stays
+  setPayload(payload){
+    this.change('payload', payload);
+  }
+
+  // replace oxygen parameters mid-run; the field adapts over the next ticks
+  setOxygen(oxygen){
+    this.change('oxygen', oxygen);
+  }
+
+  // replace immune parameters mid-run (e.g. start the checkpoint inhibitor); immune cells present stay
+  setImmune(immune){
+    this.change('immune', immune);
+  }
+
+  // replace transport parameters mid-run; the mode applies to compounds spawned from now on
+  setTransport(transport){
+    this.change('transport', transport);
+  }
+
+  // replace vessel wall permeability mid-run; applies to the next wall contacts
+  setExtravasation(extravasation){
+    this.change('extravasation', extravasation);
+  }
+
+  // replace cell cycle parameters mid-run; running cycles finish with their current length
+  setCycle(cycle){
+    this.change('cycle', cycle);
+  }
+
+  // replace mutation parameters mid-run; existing clones keep their traits
+  setEvolution(evolution){
+    this.change('evolution', evolution);
+  }
+
+  // replace PK parameters mid-run; the current plasma amounts carry over
+  setPK(pk){
+    this.change('pk', pk);
+  }
+
+  // advance the model by one tick: scheduled dosing, plasma PK, tumor growth, then particle motion and kills
+  step(){
+    const cells = this.cells, rng = this.rng;
+    this.fork();
+    while(this.plannedInputs.length > 0 && this.plannedInputs[0].tick <= this.tick){
+      const given = this.inputs.length;
+      this.applyInput(this.plannedInputs.shift());
+      if(this.inputs.length > given) this.inputs[given].planned = true;
+    }
+    for(let d=0; d<this.drugs.length; d++){
+      const due = scheduledDose(d === 0 ? this.config.schedule : this.drugs[d].schedule, this.tick);
+      if(due > 0) this.dose(due, d, true);
+    }
+    this.stepPK();
+    const drugAmount = Number(this.config.drugAmount);
+    this.stepOxygen();
+    this.stepGrowth();
+    this.stepAngiogenesis();
+    this.stepImmune();
+
+    this.recoverReceptors();
+    const transport = this.config.transport;
+    const stepSd = Math.sqrt(2 * transport.diffusivity);
+    const tumorCenter = transport.tumorPressure > 0 ? this.tumorCenter() : null;
+
+    // move drug particles and handle interactions. Collect newly spawned particles separately to avoid modifying array while iterating.
+    const spawned = [];
+    for(let i=0;i<this.particles.length;i++){
+      const part = this.particles[i];
+      // lost with a cell killed earlier this tick, see killCell()
+      if(part.dead) continue;
+
+      // compounds on or inside a cell follow the binding timeline instead of moving
+      if(part.bound || part.internalized){ this.stepBoundCompound(part, spawned); continue; }
+
+      // age and TTL
+      part.ttl = (part.ttl === undefined) ? 300 : part.ttl - 1;
+      if(part.ttl <= 0){ part.dead = true; continue; }
+
+      // Ensure compound particles that have leached head directly to their assigned tumor (no avoidance)
+      if(part.type === 'compound' && part.leached && part.targetIdx !== undefined && !part.idle){
+        const tgt = cells[part.targetIdx];
+        if(tgt && tgt.state===1){
+          const dirTo = normalized(tgt.x - part.x, tgt.y - part.y);
+          const speed = leechSpeedBase * (1 + drugAmount/120);
+          part.vx = dirTo.x * speed;
+          part.vy = dirTo.y * speed;
+        } else {
+          // target died: try to pick a new nearest tumor, otherwise become idle
+          const bestIdx = this.nearestTumorIdx(part.x, part.y, part.rejected);
+          if(bestIdx >= 0){ part.targetIdx = bestIdx; }
+          else { part.idle = true; part.vx = 0; part.vy = 0; }
+        }
+      }
+
+      // diffusing compounds in the tissue: interstitial flow plus a random walk
+      if(part.diffusing && part.leached){
+        const flow = this.interstitialFlow(part.x, part.y, tumorCenter);
+        part.vx = flow.x + gaussian(rng) * stepSd;
+        part.vy = flow.y + gaussian(rng) * stepSd;
+      }
+
+      // Update position
+      part.x += part.vx; part.y += part.vy;
+
+      // If particle is still inside a vessel, keep it following that vessel's flow direction (tangent)
+      if(!part.leached){
+        const vessel = this.vesselAt(part.x, part.y);
+        if(!vessel && !this.extravasate(part)){
+          // the wall held: step back inside and drift on downstream with the flow
+          part.x -= part.vx; part.y -= part.vy;
+          part.deflected = true;
+          const back = this.vesselAt(part.x, part.y) || this.nearestVessel(part.x, part.y);
+          const speed = vesselSpeedBase * (1 + drugAmount/80);
+          part.vx = back.downstream.x * speed;
+          part.vy = back.downstream.y * speed;
+        } else if(!vessel && part.type === 'chemo'){
+          // free drug dissolves into the tissue just past the wall
+          part.leached = true;
+          const out = this.nearestVessel(part.x, part.y).normal;
+          part.vx = out.x * leechSpeedBase; part.vy = out.y * leechSpeedBase;
+        } else if(!vessel && part.diffusing){
+          // diffusing compounds take their motion from the tissue from the next tick on
+          part.leached = true;
+          part.ttl = transport.lifetime;
+          part.vx = 0; part.vy = 0;
+        } else if(!vessel){
+          // convert to leached state. Preferentially head toward assigned tumor target if available
+          part.leached = true;
+          const speed = leechSpeedBase * (1 + drugAmount/120);
+          const tgt = (part.type === 'compound' && part.targetIdx !== undefined) ? cells[part.targetIdx] : null;
+          if(tgt && tgt.state===1){
+            const dirTo = normalized(tgt.x - part.x, tgt.y - part.y);
+            part.vx = dirTo.x * speed;
+            part.vy = dirTo.y * speed;
+          } else {
+            // non-targeted particles (or target gone): push out through the wall they crossed
+            const nn = this.nearestVessel(part.x, part.y).normal;
+            part.vx = nn.x * speed;
+            part.vy = nn.y * speed;
+          }
+        } else {
+          // re-align velocity to follow vessel tangent (helps when vessel curves)
+          const dir = part.deflected ? vessel.downstream : vessel.flow;
+          const tgt = (part.type === 'compound' && part.targetIdx !== undefined) ? cells[part.targetIdx] : null;
+          // if this particle is targeting tumor, slightly adjust velocity toward target;
+          // once turned back by the wall it just follows the flow
+          if(tgt && !part.deflected){
+            const tdir = normalized(tgt.x - part.x, tgt.y - part.y);
+            // use a straightforward mix: alpha controls target influence (higher alpha -> more direct targeting)
+            const alpha = (part.steerAggression !== undefined) ? part.steerAggression : 0.9;
+            const mixX = dir.x * (1 - alpha) + tdir.x * alpha;
+            const mixY = dir.y * (1 - alpha) + tdir.y * alpha;
+            const nd = normalized(mixX, mixY);
+            const speed = vesselSpeedBase * (1 + drugAmount/80) * (1 + (alpha-0.5)*0.4);
+            part.vx = nd.x * speed;
+            part.vy = nd.y * speed;
+          } else {
+            const speed = vesselSpeedBase * (1 + drugAmount/80);
+            part.vx = dir.x * speed;
+            part.vy = dir.y * speed;
+            // diffusing compounds also random-walk across the stream, so they reach tube walls too
+            if(part.diffusing){ part.vx += gaussian(rng) * stepSd; part.vy += gaussian(rng) * stepSd; }
+          }
+        }
+      }
+
+      if(part.type === 'chemo' && part.leached) this.dissolveChemo(part);
+
+      // Interaction: if compound in muscle contacts a cancer cell its arms try to bind the cell's free
+      // receptors (see DEFAULT_BINDING). A cell that fails to bind is remembered and the compound moves
+      // on to the next nearest tumor cell.
+      if(part.type === 'compound' && part.leached){
+        const binding = this.bindingOf(part);
+        for(let cIdx=0; cIdx<cells.length; cIdx++){
+          const c = cells[cIdx];
+          if(c.state!==1) continue;
+          if(part.rejected && part.rejected.includes(cIdx)) continue;
+          const d = Math.hypot(c.x - part.x, c.y - part.y);
+          if(d <= c.size + binding.contactRange){
+            const armA = rng() < armBindChance(c, 'A', binding);
+            const armB = rng() < armBindChance(c, 'B', binding);
+            if(armA || armB){
+              if(armA) c.occupiedA++;
+              if(armB) c.occupiedB++;
+              part.bound = {cellIdx: cIdx, armA, armB, ticks: 0};
+              part.vx = 0; part.vy = 0;
+            } else {
+              this.rejectCell(part, cIdx);
+            }
+            break;
+          }
+        }
+      }
+
+      // wandering particles have a chance to die off each tick
+      if(part.wander && rng() < 0.015) { part.dead = true; }
+
+      // remove particle when it's off-canvas or spent
+      if(part.x < -40 || part.x > this.config.width+40 || part.y < -40 || part.y > this.config.height+40) part.dead = true;
+    }
+    // append spawned particles but cap total particles to prevent blowup
+    const allowed = Math.max(0, MAX_PARTICLES - this.particles.length);
+    this.particles = this.particles.concat(spawned.slice(0, allowed));
+    // compounds that die still in the vessel were washed out without reaching the tissue
+    for(const p of this.particles){
+      if(p.dead && (p.type === 'compound' || p.type === 'chemo') && !p.leached && p.doseIdx !== undefined) this.deliveries[p.doseIdx].washedOut++;
+    }
+    // finally filter out dead
+    this.particles = this.particles.filter(p => !p.dead);
+    this.stepPayload();
+    this.tick++;
+    this.recordMetrics();
+    if(this.tick % this.config.timeline.interval === 0) this.recordTimeline();
+  }
+
+  // add a snapshot of this tick to the timeline ring buffer (not while replaying, those ticks are recorded)
+  recordTimeline(){
+    const capacity = this.config.timeline.capacity;
+    if(capacity === 0 || this.replaying) return;
+    this.timeline = this.timeline.filter(s => s.tick < this.tick);
+    this.timeline.push({tick: this.tick, inputs: this.inputs.length, state: JSON.stringify(this.snapshot())});
+    if(this.timeline.length > capacity) this.timeline.shift();
+  }
+
+  // go back (or forward, up to the end of the current branch) to a recorded tick: restore the snapshot
+  // before it and replay the ticks in between with the doses given and settings changed in them; false if
+  // the tick is older than the oldest snapshot
+  rewind(tick){
+    const branch = this.branch || {history: this.history, inputs: this.inputs, tick: this.tick};
+    tick = Math.min(Math.round(tick), branch.tick);
+    let entry = null;
+    for(const s of this.timeline) if(s.tick <= tick) entry = s;
+    if(!entry) return false;
+    this.branch = branch;
+    // inputs after the snapshot was taken, up to the tick; planned ones come back with the snapshot's plannedInputs
+    const replay = branch.inputs.slice(entry.inputs).filter(input => !input.planned && input.tick <= tick);
+    this.replaying = true;
+    this.restore(JSON.parse(entry.state));
+    this.history = branch.history.filter(m => m.tick <= entry.tick);
+    for(let t=entry.tick; ; t++){
+      for(const input of replay) if(input.tick === t) this.applyInput(input);
+      if(t >= tick) break;
+      this.step();
+    }
+    this.replaying = false;
+    // back at the end of the branch
+    if(tick === branch.tick) this.branch = null;
+    return true;
+  }
+
+  // advancing, dosing or changing a setting from a rewound tick starts a new branch; the old one becomes the ghost
+  fork(){
+    if(!this.branch || this.replaying) return;
+    this.ghost = {
+      fromTick: this.tick,
+      history: this.branch.history.filter(m => m.tick >= this.tick),
+      // from the last snapshot the branches share, so the ghost shows right after the fork
+      timeline: this.timeline.filter(s => s.tick > this.tick - this.config.timeline.interval),
+    };
+    this.timeline = this.timeline.filter(s => s.tick <= this.tick);
+    this.branch = null;
+  }
+
+  // the ghost branch's cells at a tick, from its snapshot within one interval before it (null if none)
+  ghostCellsAt(tick){
+    if(!this.ghost) return null;
+    let entry = null;
+    for(const s of this.ghost.timeline) if(s.tick <= tick) entry = s;
+    if(!entry || tick - entry.tick >= this.config.timeline.interval) return null;
+    if(!this.ghost.cells || this.ghost.cells.tick !== entry.tick) this.ghost.cells = {tick: entry.tick, cells: JSON.parse(entry.state).cells};
+    return this.ghost.cells.cells;
+  }
+
+  // bound -> internalized -> payload release; one tick of a compound sitting on or inside a cell
+  stepBoundCompound(part, spawned){
+    const binding = this.bindingOf(part), rng = this.rng;
+    if(part.internalized){
+      const host = this.cells[part.internalized.cellIdx];
+      // host cell died first: the payload is lost with it
+      if(host.state !== 1){ part.dead = true; return; }
+      if(++part.internalized.ticks >= binding.releaseTicks){
+        this.releasePayload(part.internalized.cellIdx, part, spawned);
+        part.dead = true;
+      }
+      return;
+    }
+    const bd = part.bound, c = this.cells[bd.cellIdx];
+    if(c.state !== 1){ this.unbind(part); return; }
+    // the free arm may engage as well (avidity)
+    if(!bd.armA && rng() < armBindChance(c, 'A', binding)){ bd.armA = true; c.occupiedA++; }
+    if(!bd.armB && rng() < armBindChance(c, 'B', binding)){ bd.armB = true; c.occupiedB++; }
+    // a bound naked antibody flags its cell for immune effector cells (ADCC)
+    const drug = this.drugs[part.drug || 0];
+    if(drug.adccRate > 0 && rng() < drug.adccRate){
+      this.unbind(part);
+      this.killCell(bd.cellIdx, 'antibody-adcc', part.id);
+      return;
+    }
+    const off = binding.offRate * (bd.armA && bd.armB ? binding.avidityFactor : 1);
+    if(rng() < off){
+      this.unbind(part);
+      this.rejectCell(part, bd.cellIdx);
+      return;
+    }
+    if(++bd.ticks >= binding.internalizeTicks){
+      // internalization takes the engaged receptors off the surface
+      if(bd.armA){ c.occupiedA--; c.receptorsA--; }
+      if(bd.armB){ c.occupiedB--; c.receptorsB--; }
+      part.internalized = {cellIdx: bd.cellIdx, ticks: 0};
+      part.bound = null;
+    }
+  }
+
+  // release a bound compound's receptors; it drifts on toward the nearest other tumor cell
+  unbind(part){
+    const bd = part.bound, c = this.cells[bd.cellIdx];
+    if(c.state === 1){
+      if(bd.armA) c.occupiedA--;
+      if(bd.armB) c.occupiedB--;
+    }
+    part.bound = null;
+  }
+
+  // compound gave up on cell cIdx: remember it and (when homing) head for the next nearest tumor cell
+  rejectCell(part, cIdx){
+    part.rejected = (part.rejected || []).concat(cIdx);
+    if(part.targetIdx === cIdx) part.targetIdx = undefined;
+    if(part.diffusing) return;
+    const next = this.nearestTumorIdx(part.x, part.y, part.rejected);
+    if(next >= 0){ part.targetIdx = next; part.idle = false; }
+  }
+
+  // cells slowly re-express receptors lost to internalization
+  recoverReceptors(){
+    const binding = this.config.binding, rng = this.rng;
+    if(binding.receptorRecovery <= 0) return;
+    for(const c of this.cells){
+      if(c.state!==1) continue;
+      if(c.receptorsA < maxReceptors(c, 'A', binding) && rng() < binding.receptorRecovery) c.receptorsA++;
+      if(c.receptorsB < maxReceptors(c, 'B', binding) && rng() < binding.receptorRecovery) c.receptorsB++;
+    }
+  }
+
+  // tumor cell idx dies; the kill is recorded in the ledger with its cause (see KILL_CAUSES)
+  // and the last compound whose payload reached it. The dying cell releases its payload into the field.
+  killCell(idx, cause, compoundId){
+    const c = this.cells[idx];
+    this.detachCompounds(idx);
+    c.state = 0; c.size = 0; c.viability = 1;
+    this.payloadField[idx] += c.payload;
+    if(c.payload > 0 && c.payloadCompoundId !== null) this.payloadFieldCompound[idx] = c.payloadCompoundId;
+    c.payload = 0;
+    compoundId = compoundId === undefined ? null : compoundId;
+    const drugIdx = compoundId === null ? undefined : this.compoundDrugs.get(compoundId);
+    this.kills.push({tick: this.tick, cellIdx: idx, cause, compoundId, drug: drugIdx === undefined ? null : this.drugs[drugIdx].id});
+    if(ICD_CATEGORIES.includes(KILL_CAUSES[cause])) this.icdSignal += this.config.immune.icdStrength;
+  }
+
+  // compounds on a dying cell come off it and those inside are lost with it, so that none of them stays
+  // attached to a daughter cell dividing into the freed slot
+  detachCompounds(idx){
+    for(const part of this.particles){
+      if(part.internalized && part.internalized.cellIdx === idx) part.dead = true;
+      else if(part.bound && part.bound.cellIdx === idx) part.bound = null;
+    }
+  }
+
+  // totals per cause and the direct binding vs. bystander split
+  killSummary(){
+    const summary = {total: this.kills.length, bystanderFraction: 0, byCause: {}, byDrug: {}};
+    for(const cause of Object.keys(KILL_CAUSES)){ summary.byCause[cause] = 0; summary[KILL_CAUSES[cause]] = 0; }
+    for(const d of this.drugs) summary.byDrug[d.id] = 0;
+    for(const k of this.kills){
+      summary.byCause[k.cause]++;
+      summary[KILL_CAUSES[k.cause]]++;
+      if(k.drug !== null) summary.byDrug[k.drug]++;
+    }
+    if(summary.total > 0) summary.bystanderFraction = summary.bystander / summary.total;
+    return summary;
+  }
+
+  // the kill ledger with enough context (seed, starting config and inputs) to replay the run
+  exportKillLedger(){
+    return {
+      format: KILL_LEDGER_FORMAT,
+      version: KILL_LEDGER_VERSION,
+      seed: this.config.seed,
+      config: JSON.parse(JSON.stringify(this.config)),
+      startConfig: JSON.parse(JSON.stringify(this.startConfig)),
+      inputs: this.exportInputs(),
+      tick: this.tick,
+      doseTicks: this.doseTicks.slice(),
+      delivery: this.deliverySummary(),
+      summary: this.killSummary(),
+      toxicity: this.toxicitySummary(),
+      penetration: this.penetrationProfile(),
+      kills: this.kills.slice(),
+    };
+  }
+
+  // the run as a scenario file (see migrateScenario()); withSnapshot adds the full state so it opens at this tick
+  exportScenario(withSnapshot){
+    return {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      config: JSON.parse(JSON.stringify(this.startConfig)),
+      vessels: JSON.parse(JSON.stringify(this.vessels)),
+      inputs: this.exportInputs(),
+      snapshot: withSnapshot ? this.snapshot({history: true}) : null,
+    };
+  }
+
+  // the inputs so far and those of a loaded scenario still to come
+  exportInputs(){
+    return this.inputs.concat(this.plannedInputs).map(input => {
+      const out = JSON.parse(JSON.stringify(input));
+      delete out.planned;
+      return out;
+    });
+  }
+
+  // the full mutable state as plain JSON data; restore() puts it back. opts.history also copies the metrics
+  // history, otherwise restore() trims the history to the snapshot's tick
+  snapshot(opts){
+    const copy = v => JSON.parse(JSON.stringify(v));
+    return {
+      tick: this.tick,
+      rngState: this.rng.state(),
+      vessels: copy(this.vessels),
+      cells: copy(this.cells),
+      oxygen: Array.from(this.oxygen),
+      payloadField: Array.from(this.payloadField),
+      payloadFieldCompound: this.payloadFieldCompound.slice(),
+      antigenField: this.antigenField ? {A: Array.from(this.antigenField.A), B: Array.from(this.antigenField.B)} : null,
+      particles: copy(this.particles),
+      immuneCells: copy(this.immuneCells),
+      icdSignal: this.icdSignal,
+      plasmas: copy(this.plasmas),
+      compoundDrugs: Array.from(this.compoundDrugs),
+      nextParticleId: this.nextParticleId,
+      doseTicks: this.doseTicks.slice(),
+      deliveries: copy(this.deliveries),
+      kills: copy(this.kills),
+      clones: copy(this.clones),
+      settings: Object.fromEntries(Object.keys(RUN_SETTINGS).map(key => [key, copy(this.config[key])])),
+      inputs: copy(this.inputs),
+      plannedInputs: copy(this.plannedInputs),
+      history: opts && opts.history ? copy(this.history) : null,
+    };
+  }
+
+  // put back a snapshot() of a run with the same grid; missing keys keep their current state
+  restore(snap){
+    const copy = v => JSON.parse(JSON.stringify(v));
+    if(snap.cells && snap.cells.length !== this.cells.length) throw new Error('snapshot grid does not match the configured scene size');
+    if(snap.settings){
+      for(const key of Object.keys(RUN_SETTINGS)) if(snap.settings[key] !== undefined) this.config[key] = RUN_SETTINGS[key](snap.settings[key]);
+      this.buildDrugBindings();
+    }
+    if(snap.vessels){
+      this.vessels = copy(snap.vessels);
+      this.buildVesselCells();
+    }
+    if(snap.cells) this.cells = copy(snap.cells);
+    if(snap.oxygen) this.oxygen = Float64Array.from(snap.oxygen);
+    else if(snap.vessels) this.settleOxygen();
+    if(snap.payloadField) this.payloadField = Float64Array.from(snap.payloadField);
+    if(snap.payloadFieldCompound) this.payloadFieldCompound = snap.payloadFieldCompound.slice();
+    if(snap.antigenField !== undefined) this.antigenField = snap.antigenField && {A: Float32Array.from(snap.antigenField.A), B: Float32Array.from(snap.antigenField.B)};
+    if(snap.plasmas){
+      if(snap.plasmas.length !== this.drugs.length) throw new Error('snapshot has ' + snap.plasmas.length + ' drugs, the config ' + this.drugs.length);
+      this.plasmas = copy(snap.plasmas);
+      this.plasma = this.plasmas[0];
+    }
+    for(const key of ['particles', 'immuneCells', 'deliveries', 'kills', 'clones', 'inputs', 'plannedInputs']) if(snap[key]) this[key] = copy(snap[key]);
+    for(const key of ['icdSignal', 'nextParticleId']) if(snap[key] !== undefined) this[key] = snap[key];
+    if(snap.doseTicks) this.doseTicks = snap.doseTicks.slice();
+    if(snap.compoundDrugs) this.compoundDrugs = new Map(snap.compoundDrugs);
+    if(snap.rngState !== undefined) this.rng = makeRng(snap.rngState);
+    if(snap.tick !== undefined){
+      this.tick = snap.tick;
+      this.history = snap.history ? copy(snap.history) : this.history.filter(m => m.tick <= snap.tick);
+    }
+  }
+
+  // append this tick's tumor burden and particle counts to history
+  recordMetrics(){
+    const m = {tick: this.tick, tumorCells: this.tumorCellCount(), vesselCompounds: 0, leachedCompounds: 0, kills: this.kills.length,
+      plasmaConcentration: this.plasmaConcentration(), antigenLowCells: 0, boundCompounds: 0, internalizedCompounds: 0, receptorOccupancy: 0,
+      tumorPayload: 0, freePayload: this.freePayload(), healthyDead: 0, healthyViability: 1, cloneCounts: {},
+      hypoxicCells: 0, necroticCells: 0, sprouts: 0, capillaryLength: 0, penetrationDepth: 0, directPenetrationDepth: 0,
+      tCells: 0, macrophages: 0, icdSignal: this.icdSignal, plasmaByDrug: this.drugs.map((d, i) => this.plasmaConcentration(i))};
+    for(const im of this.immuneCells){
+      if(im.type === 'tcell') m.tCells++; else m.macrophages++;
+    }
+    const penetration = this.penetrationProfile();
+    m.penetrationDepth = penetration.meanDepth;
+    m.directPenetrationDepth = penetration.directDepth;
+    for(const v of this.vessels){
+      if(!v.sprout) continue;
+      m.sprouts++;
+      m.capillaryLength += this.sproutLength(v);
+    }
+    const toxicity = this.toxicitySummary();
+    m.healthyDead = toxicity.dead;
+    m.healthyViability = toxicity.meanViability;
+    let receptors = 0, occupied = 0;
+    for(let i=0;i<this.cells.length;i++){
+      const c = this.cells[i];
+      if(c.state===3) m.necroticCells++;
+      if(c.state!==1) continue;
+      if(this.oxygen[i] < this.config.oxygen.hypoxiaThreshold) m.hypoxicCells++;
+      m.tumorPayload += c.payload;
+      m.cloneCounts[c.cloneId] = (m.cloneCounts[c.cloneId] || 0) + 1;
+      // cells expressing neither antigen above 0.2: candidates for antigen-negative escape
+      if(c.antigenA < 0.2 && c.antigenB < 0.2) m.antigenLowCells++;
+      receptors += c.receptorsA + c.receptorsB;
+      occupied += c.occupiedA + c.occupiedB;
+    }
+    if(receptors > 0) m.receptorOccupancy = occupied / receptors;
+    for(const p of this.particles){
+      if(p.type === 'compound'){
+        if(p.bound) m.boundCompounds++;
+        else if(p.internalized) m.internalizedCompounds++;
+        else if(p.leached) m.leachedCompounds++;
+        else m.vesselCompounds++;
+      } else if(p.type === 'chemo' && !p.leached){
+        m.vesselCompounds++;
+      }
+    }
+    this.history.push(m);
+    return m;
+  }
+
+  // compound internalized by cell cIdx releases its drug's dar payload molecules (potency units each): each
+  // stays in the cell or escapes into the payload field at the cell, shown briefly as a Y
+  releasePayload(cIdx, compound, spawned){
+    const cells = this.cells, rng = this.rng, payload = this.config.payload;
+    const drug = this.drugs[compound.drug || 0];
+    const dar = drug.dar !== null ? drug.dar : payload.dar;
+    const escapeFraction = drug.escapeFraction !== null ? drug.escapeFraction : payload.escapeFraction;
+    const c = cells[cIdx];
+    for(let k=0;k<dar;k++){
+      if(rng() >= escapeFraction){ this.depositPayload(cIdx, drug.potency, 'internalized', compound.id); continue; }
+      this.payloadField[cIdx] += drug.potency;
+      this.payloadFieldCompound[cIdx] = compound.id;
+      const a = rng()*Math.PI*2, r = c.size * (0.4 + rng()*0.5);
+      spawned.push({x: c.x + Math.cos(a)*r, y: c.y + Math.sin(a)*r, vx:0, vy:0, type:'Y', ttl:40, leached:true, idle:true, parentIdx: cIdx, compoundId: compound.id});
+    }
+  }
+
+  // a chemo particle past the vessel wall releases its molecules into the payload field at the first
+  // tissue grid point it reaches
+  dissolveChemo(part){
+    const spacing = this.config.spacing;
+    const idx = this.cellIndex(Math.round((part.x - spacing/2) / spacing), Math.round((part.y - spacing/2) / spacing));
+    if(idx < 0 || this.tissueNeighbors[idx].length === 0) return;
+    const drug = this.drugs[part.drug];
+    this.payloadField[idx] += (drug.dar !== null ? drug.dar : this.config.payload.dar) * drug.potency;
+    this.payloadFieldCompound[idx] = part.id;
+    part.dead = true;
+  }
+
+  // per-drug binding parameters: the run's binding with the drug's own affinities
+  buildDrugBindings(){
+    const binding = this.config.binding;
+    this.drugBindings = this.drugs.map(d => {
+      const out = Object.assign({}, binding);
+      if(d.affinityA !== null) out.affinityA = d.affinityA;
+      if(d.affinityB !== null) out.affinityB = d.affinityB;
+      if(d.kind !== 'chemo' && out.affinityA === 0 && out.affinityB === 0) throw new Error('drug ' + d.name + ' has no arm with affinity above 0');
+      return out;
+    });
+  }
+
+  bindingOf(part){
+    return this.drugBindings[part.drug || 0];
+  }
+
+  // add payload to cell idx; for cancer cells remember where it came from ('internalized' | 'diffused')
+  depositPayload(idx, amount, source, compoundId){
+    const c = this.cells[idx];
+    c.payload += amount;
+    if(c.state===1){
+      c.payloadIn[source] += amount;
+      if(compoundId !== undefined && compoundId !== null) c.payloadCompoundId = compoundId;
+    }
+  }
+
+  // exchange between cells and the payload field, field diffusion and decay, then the Hill dose-response
+  stepPayload(){
+    const cells = this.cells, rng = this.rng, payload = this.config.payload;
+    const field = this.payloadField, fieldCompound = this.payloadFieldCompound;
+    for(let i=0;i<cells.length;i++){
+      if(this.tissueNeighbors[i].length === 0) continue;
+      const c = cells[i];
+      if(field[i] > 0){
+        const up = field[i] * (c.state===1 ? payload.uptakeRate : payload.healthyUptakeRate);
+        field[i] -= up;
+        this.depositPayload(i, up, 'diffused', fieldCompound[i]);
+      }
+      if(c.payload > 0){
+        const out = c.payload * payload.effluxRate;
+        c.payload -= out;
+        field[i] += out;
+        if(fieldCompound[i] === null && c.state===1) fieldCompound[i] = c.payloadCompoundId;
+      }
+    }
+    // each neighbor direction gets permeability/8 of a grid point's payload; directions into the vessel
+    // or off the grid drain away
+    const next = new Float64Array(cells.length);
+    const share = payload.permeability / 8;
+    for(let i=0;i<cells.length;i++){
+      if(field[i] <= 0) continue;
+      const neigh = this.tissueNeighbors[i];
+      if(neigh.length === 0) continue;
+      next[i] += field[i] * (1 - payload.permeability);
+      for(const n of neigh){
+        next[n] += field[i] * share;
+        if(fieldCompound[n] === null) fieldCompound[n] = fieldCompound[i];
+      }
+    }
+    for(let i=0;i<cells.length;i++){
+      field[i] = next[i] * (1 - payload.fieldDecay);
+      if(field[i] < 1e-5) field[i] = 0;
+      const c = cells[i];
+      c.payload *= (1 - payload.decay);
+      if(c.payload < 1e-4) c.payload = 0;
+      if(c.state===1 && c.payload > 0 && rng() < payloadKillProbability(c.payload * this.effectiveSensitivity(c), payload)){
+        this.killCell(i, this.payloadCause(c), c.payloadCompoundId);
+      } else if(c.state===0 && this.tissueNeighbors[i].length > 0){
+        if(c.payload > 0) c.viability -= healthyDamage(c.payload, payload);
+        else c.viability = Math.min(1, c.viability + payload.healthyRepair);
+        if(c.viability <= 0) this.killHealthyCell(i);
+      }
+    }
+  }
+
+  // healthy cell idx dies from payload exposure and releases its payload into the field
+  killHealthyCell(idx){
+    const c = this.cells[idx];
+    c.state = 2; c.viability = 0;
+    this.payloadField[idx] += c.payload;
+    c.payload = 0;
+  }
+
+  // healthy tissue damage so far: dead and damaged (viability < 1) cells and mean viability of the tissue
+  toxicitySummary(){
+    const summary = {tissueCells: 0, dead: 0, damaged: 0, meanViability: 1, deadFraction: 0};
+    let viability = 0;
+    for(let i=0;i<this.cells.length;i++){
+      const c = this.cells[i];
+      if(c.state===1 || c.state===3 || this.tissueNeighbors[i].length === 0) continue;
+      summary.tissueCells++;
+      viability += c.viability;
+      if(c.state===2) summary.dead++;
+      else if(c.viability < 1) summary.damaged++;
+    }
+    if(summary.tissueCells > 0){
+      summary.meanViability = viability / summary.tissueCells;
+      summary.deadFraction = summary.dead / summary.tissueCells;
+    }
+    return summary;
+  }
+
+  // recruit immune cells at the vessel walls, move them towards the tumor and let them attack on contact
+  stepImmune(){
+    const immune = this.config.immune, rng = this.rng;
+    this.icdSignal *= 1 - immune.signalDecay;
+    if(!immune.enabled){ this.immuneCells = []; return; }
+    if(this.immuneCells.length < immune.maxCells && rng() < immune.baseRecruitment + immune.recruitmentPerSignal * this.icdSignal){
+      // enter just outside the wall next to a random point of the vasculature
+      const p = this.randomVesselPoint();
+      const g = this.vesselAt(p.x, p.y) || this.nearestVessel(p.x, p.y);
+      const out = g.depth + 2;
+      this.immuneCells.push({id: this.nextParticleId++, type: rng() < immune.macrophageShare ? 'macrophage' : 'tcell',
+        x: p.x + g.normal.x*out, y: p.y + g.normal.y*out, ttl: immune.lifetime, cooldown: 0, kills: 0});
+    }
+    const contact = this.config.spacing * 0.7;
+    for(const im of this.immuneCells){
+      im.ttl--;
+      if(im.cooldown > 0) im.cooldown--;
+      const tcell = im.type === 'tcell';
+      const targetIdx = this.nearestTumorIdx(im.x, im.y);
+      if(targetIdx < 0){
+        // no tumor left: wander
+        const a = rng()*Math.PI*2;
+        im.x += Math.cos(a); im.y += Math.sin(a);
+        continue;
+      }
+      const t = this.cells[targetIdx];
+      const d = Math.hypot(t.x - im.x, t.y - im.y);
+      if(d <= contact){
+        if(im.cooldown > 0) continue;
+        im.cooldown = immune.attackInterval;
+        const chance = tcell ? immune.tcellKill * (immune.checkpointInhibitor ? 1 : 1 - immune.pdl1Suppression) : immune.macrophageKill;
+        if(rng() < chance){
+          this.killCell(targetIdx, tcell ? 'immune-tcell' : 'immune-macrophage');
+          im.kills++;
+        }
+        continue;
+      }
+      // chemotaxis towards the tumor with some random turning
+      const speed = tcell ? immune.tcellSpeed : immune.macrophageSpeed;
+      const a = (rng() - 0.5) * 1.2;
+      const dx = (t.x - im.x) / d, dy = (t.y - im.y) / d;
+      const step = Math.min(speed, d - contact * 0.5);
+      im.x += (dx * Math.cos(a) - dy * Math.sin(a)) * step;
+      im.y += (dx * Math.sin(a) + dy * Math.cos(a)) * step;
+    }
+    this.immuneCells = this.immuneCells.filter(im => im.ttl > 0);
+  }
+
+  // tumor depth per grid point in cell layers: 1 for cancer and necrotic cells next to healthy tissue
+  // (alive or dead), counting inward through the tumor; 0 elsewhere
+  rimDepths(){
+    const cells = this.cells;
+    const depth = new Int32Array(cells.length);
+    const isTumor = c => c.state===1 || c.state===3;
+    let frontier = [];
+    for(let i=0;i<cells.length;i++){
+      if(!isTumor(cells[i])) continue;
+      if(this.tissueNeighbors[i].some(n => !isTumor(cells[n]))){ depth[i] = 1; frontier.push(i); }
+    }
+    for(let d=2; frontier.length > 0; d++){
+      const next = [];
+      for(const i of frontier) for(const n of this.tissueNeighbors[i]){
+        if(depth[n] === 0 && isTumor(cells[n])){ depth[n] = d; next.push(n); }
+      }
+      frontier = next;
+    }
+    return depth;
+  }
+
+  // payload delivered to the live cancer cells by depth from the tumor rim (see rimDepths). One row per
+  // depth: cell count, mean payload per cell delivered directly (own compounds) and by bystander (field),
+  // and the compounds bound to or inside the cells at that depth. meanDepth and directDepth are the
+  // payload-weighted mean depths of all delivered payload and of the direct share alone.
+  penetrationProfile(){
+    const cells = this.cells, depth = this.rimDepths();
+    const rows = [];
+    const row = d => {
+      while(rows.length < d) rows.push({depth: rows.length + 1, cells: 0, direct: 0, bystander: 0, compounds: 0});
+      return rows[d-1];
+    };
+    for(let i=0;i<cells.length;i++){
+      const c = cells[i];
+      if(c.state!==1 || depth[i]===0) continue;
+      const r = row(depth[i]);
+      r.cells++;
+      r.direct += c.payloadIn.internalized;
+      r.bystander += c.payloadIn.diffused;
+    }
+    for(const p of this.particles){
+      const hold = p.bound || p.internalized;
+      if(p.type !== 'compound' || !hold || depth[hold.cellIdx]===0) continue;
+      row(depth[hold.cellIdx]).compounds++;
+    }
+    let total = 0, weighted = 0, direct = 0, directWeighted = 0;
+    for(const r of rows){
+      total += r.direct + r.bystander; weighted += r.depth * (r.direct + r.bystander);
+      direct += r.direct; directWeighted += r.depth * r.direct;
+      if(r.cells > 0){ r.direct /= r.cells; r.bystander /= r.cells; }
+    }
+    return {rows, meanDepth: total > 0 ? weighted / total : 0, directDepth: direct > 0 ? directWeighted / direct : 0};
+  }
+
+  // kill cause for a payload death: whether most of the cell's payload came from its own compounds or the
+  // field, and for field payload whether a chemo drug left it
+  payloadCause(c){
+    if(c.payloadIn.internalized >= c.payloadIn.diffused) return 'payload-internalized';
+    // field payload last left there by a chemo particle counts as a chemo kill
+    const drugIdx = this.compoundDrugs.get(c.payloadCompoundId);
+    return drugIdx !== undefined && this.drugs[drugIdx].kind === 'chemo' ? 'payload-chemo' : 'payload-diffused';
+  }
+
+  // total free payload in the field
+  freePayload(){
+    let total = 0;
+    for(let i=0;i<this.payloadField.length;i++) total += this.payloadField[i];
+    return total;
+  }
+
+  // give a dose of drug drugIdx (default the first): straight into the vessel as particles ('bolus' PK),
+  // otherwise infused into that drug's plasma. scheduled is set by step() for doses from a schedule
+  dose(amount, drugIdx, scheduled){
+    amount = Number(amount);
+    drugIdx = drugIdx || 0;
+    if(!amount || amount <= 0 || !this.drugs[drugIdx]) return;
+    if(!scheduled){
+      this.fork();
+      this.inputs.push({tick: this.tick, type: 'dose', drug: drugIdx, amount});
+    }
+    this.doseTicks.push(this.tick);
+    this.deliveries.push({tick: this.tick, drug: this.drugs[drugIdx].id, drugIdx, amount, scheduled: Boolean(scheduled), spawned: 0, extravasated: 0, washedOut: 0});
+    if(this.pkFor(drugIdx).model === 'bolus'){
+      // number of compounds to spawn for this dose: spawn exactly the slider value
+      this.spawnCompounds(Math.max(1, Math.round(amount)), amount, drugIdx);
+    } else {
+      this.plasmas[drugIdx].infusing += amount;
+    }
+  }
+
+  // PK parameters of a drug: its own, or the run's
+  pkFor(drugIdx){
+    return this.drugs[drugIdx].pk || this.config.pk;
+  }
+
+  plasmaConcentration(drugIdx){
+    drugIdx = drugIdx || 0;
+    return this.plasmas[drugIdx].central / this.pkFor(drugIdx).volume;
+  }
+
+  // one tick of the compartment model (explicit Euler, a few substeps for stiff parameters),
+  // then spawn compounds in the vessel in proportion to the plasma concentration
+  stepPK(){
+    for(let d=0; d<this.drugs.length; d++) this.stepDrugPK(d);
+  }
+
+  stepDrugPK(drugIdx){
+    const pk = this.pkFor(drugIdx), pl = this.plasmas[drugIdx];
+    if(pk.model === 'bolus') return;
+    const rate = pk.infusionRate > 0 ? Math.min(pk.infusionRate, pl.infusing) : pl.infusing;
+    pl.infusing -= rate;
+    const substeps = 4, dt = 1 / substeps;
+    for(let k=0;k<substeps;k++){
+      const elim = pk.clearance / pk.volume * pl.central;
+      let dist = 0;
+      if(pk.model === 'two-compartment'){
+        dist = pk.interCompartmentClearance * (pl.central / pk.volume - pl.peripheral / pk.peripheralVolume);
+      }
+      pl.central = Math.max(0, pl.central + (rate - elim - dist) * dt);
+      pl.peripheral = Math.max(0, pl.peripheral + dist * dt);
+    }
+    pl.spawnCarry += pk.spawnRate * this.plasmaConcentration(drugIdx);
+    const n = Math.floor(pl.spawnCarry);
+    if(n > 0){
+      pl.spawnCarry -= n;
+      this.spawnCompounds(n, Number(this.config.drugAmount), drugIdx);
+    }
+  }
+
+  // place count particles of drug drugIdx in the vessel, each aimed at the nearest tumor cell (a few wander);
+  // speedAmount scales their speed like the dose size does. Particles are counted for the drug's latest dose.
+  // Chemo particles never target: they drift with the flow like diffusing compounds.
+  spawnCompounds(count, speedAmount, drugIdx){
+    const rng = this.rng;
+    const amount = speedAmount;
+    drugIdx = drugIdx || 0;
+    let doseIdx = this.deliveries.length - 1;
+    while(doseIdx >= 0 && this.deliveries[doseIdx].drugIdx !== drugIdx) doseIdx--;
+    const first = this.particles.length;
+    const chemo = this.drugs[drugIdx].kind === 'chemo';
+    for(let i=0;i<count;i++){
+      const {x, y} = this.randomVesselPoint();
+      if(chemo || this.config.transport.mode === 'diffusion'){
+        // no target: start off with the blood flow
+        const dir = (this.vesselAt(x, y) || this.nearestVessel(x, y)).flow;
+        const speed = vesselSpeedBase * (1 + amount/80);
+        this.particles.push({id: this.nextParticleId++,x,y,vx:dir.x*speed,vy:dir.y*speed,leached:false,type:chemo ? 'chemo' : 'compound',hasC:true,diffusing:true,ttl:400});
+        continue;
+      }
+      // decide if this particle will target tumor or wander
+      // reduce wander so almost all particles actively target tumors
+      const wanderChance = 0.02 + rng()*0.01; // ~2-3% wander
+      const wander = rng() < wanderChance;
+      // determine initial velocity
+      let vx = 0, vy = 0;
+      if(!wander){
+        // find nearest cancer cell to target (return index for robustness)
+        const bestIdx = this.nearestTumorIdx(x, y);
+        if(bestIdx >= 0){
+          const best = this.cells[bestIdx];
+          const dirTo = normalized(best.x - x, best.y - y);
+          const speed = vesselSpeedBase * (1 + amount/80) * (0.95 + rng()*0.2);
+          vx = dirTo.x * speed; vy = dirTo.y * speed;
+          // set high steering aggression so compound heads straight for tumor
+          this.particles.push({id: this.nextParticleId++,x,y,vx,vy,leached:false,type:'compound',hasC:true,targetIdx:bestIdx,wander:false,ttl:400,steerAggression:0.92});
+          continue;
+        }
+      }
+      // wandering or no tumor found: random direction, shorter life
+      const ang = rng()*Math.PI*2;
+      const sp = (vesselSpeedBase*0.6) * (0.6 + rng()*0.8);
+      vx = Math.cos(ang)*sp; vy = Math.sin(ang)*sp;
+      this.particles.push({id: this.nextParticleId++,x,y,vx,vy,leached:false,type:'compound',hasC:true,wander:true,ttl:120});
+    }
+    for(let k=first;k<this.particles.length;k++){
+      const p = this.particles[k];
+      p.drug = drugIdx;
+      this.compoundDrugs.set(p.id, drugIdx);
+      if(doseIdx >= 0) p.doseIdx = doseIdx;
+    }
+    if(doseIdx >= 0) this.deliveries[doseIdx].spawned += this.particles.length - first;
+  }
+
+  // roll whether a compound at a vessel wall crosses into the tissue, counting it for its dose if it does
+  extravasate(part){
+    const near = this.nearestTumorIdx(part.x, part.y);
+    const d = near >= 0 ? Math.hypot(this.cells[near].x - part.x, this.cells[near].y - part.y) : Infinity;
+    const factor = part.drug !== undefined ? this.drugs[part.drug].permeabilityFactor : 1;
+    if(this.rng() >= Math.min(1, wallPermeability(this.config.extravasation, d) * factor)) return false;
+    if(part.doseIdx !== undefined) this.deliveries[part.doseIdx].extravasated++;
+    return true;
+  }
+
+  // per dose: compounds spawned so far, how many reached the tissue, were washed out or are still in the vessel
+  deliverySummary(){
+    return this.deliveries.map(d => Object.assign({}, d, {
+      inVessel: d.spawned - d.extravasated - d.washedOut,
+      tissueFraction: d.spawned > 0 ? d.extravasated / d.spawned : 0,
+    }));
+  }
+
+  // smooth expression field over the whole grid for the 'clustered' pattern: random lattice values
+  // every clusterScale cells, bilinearly interpolated
+  buildAntigenField(){
+    const ag = this.config.antigen, rng = this.rng;
+    this.antigenField = null;
+    if(ag.pattern !== 'clustered') return;
+    const step = ag.clusterScale;
+    const lw = Math.ceil(this.cols / step) + 1, lh = Math.ceil(this.rows / step) + 1;
+    const lattice = [];
+    for(let i=0;i<lw*lh;i++){
+      const negative = rng() < ag.negativeFraction;
+      lattice.push({
+        A: negative ? 0 : ag.meanA + gaussian(rng) * ag.sdA,
+        B: negative ? 0 : ag.meanB + gaussian(rng) * ag.sdB,
+      });
+    }
+    const A = new Float32Array(this.cells.length), B = new Float32Array(this.cells.length);
+    for(let iy=0; iy<this.rows; iy++){
+      for(let ix=0; ix<this.cols; ix++){
+        const gx = ix / step, gy = iy / step;
+        const x0 = Math.floor(gx), y0 = Math.floor(gy), fx = gx - x0, fy = gy - y0;
+        const p00 = lattice[y0*lw + x0], p10 = lattice[y0*lw + x0 + 1];
+        const p01 = lattice[(y0+1)*lw + x0], p11 = lattice[(y0+1)*lw + x0 + 1];
+        const idx = iy * this.cols + ix;
+        A[idx] = (p00.A*(1-fx) + p10.A*fx)*(1-fy) + (p01.A*(1-fx) + p11.A*fx)*fy;
+        B[idx] = (p00.B*(1-fx) + p10.B*fx)*(1-fy) + (p01.B*(1-fx) + p11.B*fx)*fy;
+      }
+    }
+    this.antigenField = {A, B};
+  }
+
+  // every cancer cell at the end of its cycle divides into a free adjacent slot, or waits while none is free
+  stepGrowth(){
+    const cells = this.cells, rng = this.rng, oxygen = this.config.oxygen;
+    // cells born this tick start their cycle next tick
+    const cancer = [];
+    for(let i=0;i<cells.length;i++) if(cells[i].state===1) cancer.push(i);
+    for(const i of cancer){
+      const c = cells[i];
+      if(c.state!==1) continue;
+      const o2 = this.oxygen[i];
+      if(o2 < oxygen.necrosisThreshold && rng() < oxygen.necrosisRate){ this.necrotize(i); continue; }
+      // hypoxic cells cycle slower
+      if(c.cycleAge < c.cycleLength) c.cycleAge = Math.min(c.cycleLength, c.cycleAge + Math.min(1, o2 / oxygen.hypoxiaThreshold));
+      if(c.cycleAge < c.cycleLength) continue;
+      const free = this.freeNeighborSlots(i);
+      c.arrested = free.length === 0;
+      if(c.arrested) continue;
+      const slot = free[Math.floor(rng()*free.length)];
+      this.divideInto(slot, i, 6 + rng()*10); // larger default size for grown cells
+      this.startCycle(i, 0);
+    }
+  }
+
+  // oxygen diffuses from the vessel (held at 1) through the tissue and is consumed by living cells
+  stepOxygen(){
+    const cells = this.cells, oxygen = this.config.oxygen, o2 = this.oxygen;
+    const next = new Float64Array(cells.length);
+    for(let sub=0; sub<OXYGEN_SUBSTEPS; sub++){
+      for(let i=0;i<cells.length;i++){
+        const neigh = this.oxygenNeighbors[i];
+        if(neigh.length === 0){ next[i] = 1; continue; }
+        let mean = 0;
+        for(const n of neigh) mean += o2[n];
+        mean /= neigh.length;
+        const state = cells[i].state;
+        const consumption = state===1 ? oxygen.cancerConsumption : (state===0 ? oxygen.healthyConsumption : 0);
+        let v = o2[i] + oxygen.diffusion * (mean - o2[i]);
+        if(state===0) v += oxygen.perfusion * (1 - v);
+        next[i] = v * (1 - consumption);
+      }
+      o2.set(next);
+    }
+  }
+
+  // start new capillary sprouts from a large hypoxic tumor and grow the existing ones
+  stepAngiogenesis(){
+    const ang = this.config.angiogenesis, rng = this.rng, spacing = this.config.spacing;
+    const sprouts = this.vessels.filter(v => v.sprout);
+    const active = 1 - ang.inhibition;
+    if(sprouts.length < ang.maxSprouts && this.tumorCellCount() >= ang.threshold){
+      const hypoxic = this.hypoxicCancerCells();
+      if(hypoxic.length > 0 && rng() < ang.sproutRate * active){
+        // branch off the vessel wall nearest to a random hypoxic cell
+        const target = this.cells[hypoxic[Math.floor(rng()*hypoxic.length)]];
+        const near = this.nearestVessel(target.x, target.y);
+        const back = -near.depth + 2;
+        const origin = [target.x - near.normal.x*back, target.y - near.normal.y*back];
+        this.vessels.push({type: 'tube', points: [origin, origin.slice()], radius: ang.radius, sprout: true, growing: true, tick: this.tick});
+      }
+    }
+    let rebuild = false;
+    for(const v of sprouts){
+      if(!v.growing) continue;
+      const tip = v.points[v.points.length-1], base = v.points[v.points.length-2];
+      const targetIdx = this.nearestHypoxicIdx(tip[0], tip[1]);
+      if(targetIdx < 0 || this.sproutLength(v) >= ang.maxLength){ v.growing = false; continue; }
+      const t = this.cells[targetIdx];
+      const dir = normalized(t.x - tip[0], t.y - tip[1]);
+      tip[0] += dir.x * ang.growthSpeed * active;
+      tip[1] += dir.y * ang.growthSpeed * active;
+      // fix a vertex every grid cell so the capillary keeps its path and takes over the grid points on it
+      if(Math.hypot(tip[0] - base[0], tip[1] - base[1]) >= spacing){ v.points.push(tip.slice()); rebuild = true; }
+    }
+    if(rebuild) this.claimVesselCells();
+  }
+
+  // rebuild the vessel grid after sprouts grew; cells on grid points now inside a capillary make way for it:
+  // a cancer cell there is killed (recorded as 'vessel-sprout'), any other cell lets go of its compounds
+  claimVesselCells(){
+    const before = this.vesselCells;
+    this.buildVesselCells();
+    for(let i=0;i<this.cells.length;i++){
+      if(!this.vesselCells[i] || before[i]) continue;
+      const c = this.cells[i];
+      if(c.state === 1) this.killCell(i, 'vessel-sprout');
+      else { this.detachCompounds(i); if(c.state !== 0){ c.state = 0; c.size = 0; } }
+      c.payload = 0;
+      this.payloadField[i] = 0;
+    }
+  }
+
+  hypoxicCancerCells(){
+    const out = [];
+    for(let i=0;i<this.cells.length;i++) if(this.cells[i].state===1 && this.oxygen[i] < this.config.oxygen.hypoxiaThreshold) out.push(i);
+    return out;
+  }
+
+  nearestHypoxicIdx(x, y){
+    let best = -1, bestD = Infinity;
+    for(const i of this.hypoxicCancerCells()){
+      const d = Math.hypot(this.cells[i].x - x, this.cells[i].y - y);
+      if(d < bestD){ bestD = d; best = i; }
+    }
+    return best;
+  }
+
+  sproutLength(v){
+    let length = 0;
+    for(let k=0;k<v.points.length-1;k++) length += Math.hypot(v.points[k+1][0] - v.points[k][0], v.points[k+1][1] - v.points[k][1]);
+    return length;
+  }
+
+  // replace angiogenesis parameters mid-run, e.g. to start an anti-angiogenic co-therapy
+  setAngiogenesis(angiogenesis){
+    this.change('angiogenesis', angiogenesis);
+  }
+
+  // cancer cell idx dies of oxygen starvation; the necrotic cell is not a drug kill and stays in place
+  necrotize(idx){
+    const c = this.cells[idx];
+    c.state = 3;
+    this.payloadField[idx] += c.payload;
+    c.payload = 0;
+  }
+
+  // empty tissue slots in the 8-neighborhood of cell idx a daughter cell can move into
+  freeNeighborSlots(idx){
+    const out = [];
+    for(const n of this.tissueNeighbors[idx]) if(this.cells[n].state===0) out.push(n);
+    return out;
+  }
+
+  // start a new cycle of random length for cell idx, already progress ticks into it
+  startCycle(idx, progress){
+    const cycle = this.config.cycle, c = this.cells[idx];
+    c.cycleLength = Math.max(1, Math.round(cycle.doublingTime * (1 + gaussian(this.rng) * cycle.variability)));
+    c.cycleAge = Math.floor(progress * c.cycleLength);
+    c.arrested = false;
+  }
+
+  // in the dividing phase of the cycle (arrested cells are not)
+  isDividing(c){
+    return !c.arrested && c.cycleAge >= c.cycleLength * (1 - this.config.cycle.dividingFraction);
+  }
+
+  // payload sensitivity of cancer cell c right now: its clone's trait times the cycle phase factor
+  effectiveSensitivity(c){
+    return c.sensitivity * (this.isDividing(c) ? this.config.cycle.dividingSensitivity : 1);
+  }
+
+  // cell idx turns cancerous as part of the founder clone, somewhere in its cycle
+  initCancerCell(idx, size){
+    const c = this.cells[idx];
+    c.state = 1; c.size = size;
+    this.startCycle(idx, this.rng());
+    c.payloadIn = {internalized: 0, diffused: 0};
+    c.payloadCompoundId = null;
+    c.cloneId = 0;
+    c.sensitivity = 1;
+    this.assignAntigens(idx);
+  }
+
+  // cancer cell parentIdx divides into slot idx; the daughter inherits the parent's clone and traits
+  // or, with the mutation rate, founds a new clone with shifted traits
+  divideInto(idx, parentIdx, size){
+    const evo = this.config.evolution, rng = this.rng;
+    const p = this.cells[parentIdx], c = this.cells[idx];
+    c.state = 1; c.size = size;
+    this.startCycle(idx, 0);
+    c.payloadIn = {internalized: 0, diffused: 0};
+    c.payloadCompoundId = null;
+    c.cloneId = p.cloneId;
+    c.sensitivity = p.sensitivity;
+    c.antigenA = p.antigenA; c.antigenB = p.antigenB;
+    if(rng() < evo.mutationRate){
+      c.antigenA = clamp01(c.antigenA + gaussian(rng) * evo.antigenShift);
+      c.antigenB = clamp01(c.antigenB + gaussian(rng) * evo.antigenShift);
+      c.sensitivity *= Math.exp(gaussian(rng) * evo.sensitivityShift);
+      c.cloneId = this.clones.length;
+      this.clones.push({id: c.cloneId, parentId: p.cloneId, tick: this.tick, antigenA: c.antigenA, antigenB: c.antigenB, sensitivity: c.sensitivity});
+    }
+    this.resetReceptors(idx);
+  }
+
+  // expression levels for a founder cell turning cancerous at grid index idx
+  assignAntigens(idx){
+    const ag = this.config.antigen, rng = this.rng, c = this.cells[idx];
+    if(this.antigenField){
+      // small per-cell jitter on top of the patch level
+      c.antigenA = clamp01(this.antigenField.A[idx] + gaussian(rng) * ag.sdA * 0.25);
+      c.antigenB = clamp01(this.antigenField.B[idx] + gaussian(rng) * ag.sdB * 0.25);
+    } else if(rng() < ag.negativeFraction){
+      c.antigenA = 0; c.antigenB = 0;
+    } else {
+      c.antigenA = clamp01(ag.meanA + gaussian(rng) * ag.sdA);
+      c.antigenB = clamp01(ag.meanB + gaussian(rng) * ag.sdB);
+    }
+    this.resetReceptors(idx);
+  }
+
+  // a fresh cancer cell starts with all its receptors on the surface and free
+  resetReceptors(idx){
+    const c = this.cells[idx];
+    c.receptorsA = maxReceptors(c, 'A', this.config.binding);
+    c.receptorsB = maxReceptors(c, 'B', this.config.binding);
+    c.occupiedA = 0; c.occupiedB = 0;
+  }
+
+  tumorCellCount(){
+    let n = 0;
+    for(const c of this.cells) if(c.state===1) n++;
+    return n;
+  }
+
+  // mean position of the tumor (cancer and necrotic cells), or null without one
+  tumorCenter(){
+    let n = 0, sx = 0, sy = 0;
+    for(const c of this.cells) if(c.state===1 || c.state===3){ n++; sx += c.x; sy += c.y; }
+    return n > 0 ? {x: sx / n, y: sy / n} : null;
+  }
+
+  // interstitial fluid velocity at (x, y): away from the nearest vessel, and out of the tumor inside it
+  interstitialFlow(x, y, tumorCenter){
+    const transport = this.config.transport;
+    const out = this.nearestVessel(x, y).normal;
+    const flow = {x: out.x * transport.flowSpeed, y: out.y * transport.flowSpeed};
+    if(tumorCenter){
+      const spacing = this.config.spacing;
+      const idx = this.cellIndex(Math.round((x - spacing/2) / spacing), Math.round((y - spacing/2) / spacing));
+      const c = idx >= 0 ? this.cells[idx] : null;
+      if(c && (c.state===1 || c.state===3)){
+        const away = normalized(x - tumorCenter.x, y - tumorCenter.y);
+        flow.x += away.x * transport.tumorPressure;
+        flow.y += away.y * transport.tumorPressure;
+      }
+    }
+    return flow;
+  }
+
+  // --- geometry and grid helpers ---
+  // the vessel containing (x, y) with its geometry there (see vesselGeometry), or null in tissue.
+  // Where vessels overlap (a branch leaving its parent) the tube whose centerline is relatively
+  // closest wins, so particles near a branch point are split between the vessels.
+  vesselAt(x, y){
+    let best = null;
+    for(const v of this.vessels){
+      const g = vesselGeometry(v, x, y);
+      if(!g.inside) continue;
+      if(!best || (v.type === 'tube' && (best.vessel.type === 'band' || g.centerDistance < best.centerDistance))){
+        best = g; best.vessel = v;
+      }
+    }
+    return best;
+  }
+
+  // the vessel whose wall is closest to (x, y), with its geometry there
+  nearestVessel(x, y){
+    let best = null;
+    for(const v of this.vessels){
+      const g = vesselGeometry(v, x, y);
+      if(!best || Math.abs(g.depth) < Math.abs(best.depth)){ best = g; best.vessel = v; }
+    }
+    return best;
+  }
+
+  isInVesselXY(x, y){
+    for(const v of this.vessels) if(vesselGeometry(v, x, y).inside) return true;
+    return false;
+  }
+
+  isVesselCell(idx){
+    return this.vesselCells[idx] === 1;
+  }
+
+  // a random point inside the vasculature, vessels weighted by their area
+  randomVesselPoint(){
+    const {width, height} = this.config, rng = this.rng;
+    let v = this.vessels[0];
+    if(this.vessels.length > 1){
+      const total = this.vesselAreas.reduce((a, b) => a + b, 0);
+      let r = rng() * total;
+      for(let k=0;k<this.vessels.length;k++){ r -= this.vesselAreas[k]; if(r <= 0){ v = this.vessels[k]; break; } }
+    }
+    if(v.type === 'band'){
+      const y = rng()*height;
+      const boundaryX = bandBoundaryX(v, y);
+      return {x: boundaryX + 4 + rng()*(width - boundaryX - 4), y};
+    }
+    // a point on the centerline, by length, shifted sideways within the radius
+    const lengths = [];
+    let total = 0;
+    for(let k=0;k<v.points.length-1;k++){
+      const len = Math.hypot(v.points[k+1][0] - v.points[k][0], v.points[k+1][1] - v.points[k][1]);
+      lengths.push(len); total += len;
+    }
+    let r = rng() * total, k = 0;
+    while(k < lengths.length-1 && r > lengths[k]){ r -= lengths[k]; k++; }
+    const a = v.points[k], b = v.points[k+1];
+    const t = lengths[k] > 0 ? r / lengths[k] : 0;
+    const dir = normalized(b[0] - a[0], b[1] - a[1]);
+    const side = (rng()*2 - 1) * v.radius * 0.9;
+    return {x: a[0] + (b[0]-a[0])*t - dir.y*side, y: a[1] + (b[1]-a[1])*t + dir.x*side};
+  }
+
+  // center of the seeded tumor at height yc: three cells outside the first vessel's wall
+  seedSite(yc){
+    const {spacing} = this.config;
+    const v = this.vessels[0];
+    if(v.type === 'band') return {x: Math.max(spacing, bandBoundaryX(v, yc) - spacing*3), y: yc};
+    // tubes: beside the middle of the centerline
+    const mid = v.points[Math.floor((v.points.length-1) / 2)], next = v.points[Math.floor((v.points.length-1) / 2) + 1];
+    const dir = normalized(next[0] - mid[0], next[1] - mid[1]);
+    const cx = (mid[0] + next[0]) / 2, cy = (mid[1] + next[1]) / 2;
+    const off = v.radius + spacing*3;
+    return {x: cx - dir.y*off, y: cy + dir.x*off};
+  }
+
+  cellIndex(ix, iy){
+    if(ix < 0 || iy < 0 || ix >= this.cols || iy >= this.rows) return -1;
+    return iy * this.cols + ix;
+  }
+
+  // return array of neighbor indices (8-neighborhood) that are tumor cells
+  neighborTumorIndicesForCellIdx(idx){
+    const c = this.cells[idx];
+    if(!c) return [];
+    const {spacing} = this.config;
+    const ix = Math.round((c.x - spacing/2) / spacing);
+    const iy = Math.round((c.y - spacing/2) / spacing);
+    const out = [];
+    for(let oy=-1; oy<=1; oy++){
+      for(let ox=-1; ox<=1; ox++){
+        if(ox===0 && oy===0) continue;
+        const nidx = this.cellIndex(ix+ox, iy+oy);
+        if(nidx>=0 && this.cells[nidx] && this.cells[nidx].state===1) out.push(nidx);
+      }
+    }
+    return out;
+  }
+
+  // index of the closest living cancer cell to (x,y), or -1 if there is none; exclude: indices to skip
+  nearestTumorIdx(x, y, exclude){
+    let bestIdx = -1, bestD = 1e9;
+    for(let ti=0; ti<this.cells.length; ti++){
+      const t = this.cells[ti]; if(t.state!==1) continue;
+      if(exclude && exclude.includes(ti)) continue;
+      const d = Math.hypot(t.x - x, t.y - y);
+      if(d < bestD){ bestD = d; bestIdx = ti; }
+    }
+    return bestIdx;
+  }
+}
+
+if(typeof module !== 'undefined' && module.exports){
+  module.exports = { Simulation, DEFAULT_CONFIG, DEFAULT_PK, DEFAULT_ANTIGEN, DEFAULT_BINDING, DEFAULT_PAYLOAD, DEFAULT_EVOLUTION, DEFAULT_CYCLE, DEFAULT_OXYGEN, DEFAULT_BAND, VESSEL_PRESETS, DEFAULT_ANGIOGENESIS, DEFAULT_EXTRAVASATION, DEFAULT_TRANSPORT, DEFAULT_IMMUNE, DEFAULT_DRUG, DRUG_PRESETS, DEFAULT_TIMELINE, KILL_CAUSES, SCENARIO_FORMAT, SCENARIO_VERSION, KILL_LEDGER_FORMAT, KILL_LEDGER_VERSION, makeRng, parseSeed, normalizeSchedule, parseDoseList, scheduledDose, normalizePK, pkHalfLife, normalizeAntigen, normalizeBinding, bindingProbability, normalizePayload, payloadKillProbability, healthyDamage, normalizeEvolution, normalizeCycle, normalizeOxygen, normalizeVessels, bandBoundaryX, vesselGeometry, normalizeAngiogenesis, normalizeExtravasation, wallPermeability, normalizeTransport, normalizeImmune, normalizeDrugs, normalizeTimeline, migrateScenario, loadScenario };
+}
@@ -0,0 +1,183 @@
+// Cancer Simulator - batch parameter sweep (Node)
+// Runs every combination of start radius, cell doubling time, dose size and dosing interval
+// across N seeds headless, and writes one CSV row per run.
+//
+//   node sweep.js --radius 5,20 --doubling 150,300 --dose 10,50 --interval 100,200 --seeds 5 --ticks 1000 --out results.csv
+
+const fs = require('fs');
+const { Simulation, normalizePK, DRUG_PRESETS } = require('./simulation.js');
+
+const DEFAULT_OPTIONS = {
+  radius: [5],        // cancer start radius (startAmount slider)
+  doubling: [300],    // cancer cell doubling time in ticks
+  dose: [10],         // molecules per dose
+  interval: [100],    // ticks between doses
+  firstDose: 0,       // tick of the first dose
+  loading: null,      // loading dose amount for the first dose (maintenance doses use --dose)
+  pk: 'bolus',        // plasma PK model, see DEFAULT_PK in simulation.js
+  immune: 'off',      // 'off', 'on' (T cells and macrophages) or 'checkpoint' (plus checkpoint inhibitor)
+  drugs: 'adc',       // drug regimen, a DRUG_PRESETS name in simulation.js
+  seeds: 3,           // runs per combination, seeded seedStart .. seedStart+seeds-1
+  seedStart: 1,
+  ticks: 1000,        // ticks per run
+  out: null,          // CSV path; stdout when not given
+};
+
+const CSV_COLUMNS = ['start_radius', 'doubling_time', 'dose', 'interval', 'seed', 'ticks',
+  'final_tumor_cells', 'time_to_eradication', 'peak_particles', 'tumor_kills', 'healthy_dead', 'healthy_viability', 'tissue_fraction', 'immune_kills'];
+
+function usage(){
+  return 'usage: node sweep.js [--radius 5,20] [--doubling 150,300] [--dose 10,50] [--interval 100,200]\n' +
+    '                     [--first-dose 0] [--loading 30] [--pk bolus] [--immune off|on|checkpoint] [--drugs adc-chemo] [--seeds 3] [--seed-start 1] [--ticks 1000] [--out results.csv]\n' +
+    'List options take comma separated values; every combination is run once per seed.';
+}
+
+function parseList(name, text){
+  const items = String(text).split(',').map(v => v.trim());
+  // Number('') is 0, so an empty item ("5,") would silently add a 0
+  if(items.some(v => v === '' || !Number.isFinite(Number(v)))) throw new Error('--' + name + ' expects comma separated numbers, got "' + text + '"');
+  return items.map(Number);
+}
+
+function parseNumber(name, text){
+  const v = Number(text);
+  if(String(text).trim() === '' || !Number.isFinite(v)) throw new Error('--' + name + ' expects a number, got "' + text + '"');
+  return v;
+}
+
+// a whole number >= min
+function parseCount(name, text, min){
+  const v = parseNumber(name, text);
+  if(!Number.isInteger(v) || v < min) throw new Error('--' + name + ' expects a whole number >= ' + min + ', got "' + text + '"');
+  return v;
+}
+
+function parseArgs(argv){
+  const opts = Object.assign({}, DEFAULT_OPTIONS);
+  for(let i=0;i<argv.length;i++){
+    const flag = argv[i];
+    const value = argv[i+1];
+    if(flag === '--help' || flag === '-h'){ opts.help = true; continue; }
+    if(value === undefined) throw new Error(flag + ' needs a value');
+    i++;
+    switch(flag){
+      case '--radius': opts.radius = parseList('radius', value); break;
+      case '--doubling': opts.doubling = parseList('doubling', value); break;
+      case '--dose': opts.dose = parseList('dose', value); break;
+      case '--interval': opts.interval = parseList('interval', value); break;
+      case '--first-dose': opts.firstDose = parseCount('first-dose', value, 0); break;
+      case '--loading': opts.loading = parseNumber('loading', value); break;
+      case '--pk': opts.pk = value; break;
+      case '--immune': opts.immune = value; break;
+      case '--drugs': opts.drugs = value; break;
+      case '--seeds': opts.seeds = parseCount('seeds', value, 1); break;
+      case '--seed-start': opts.seedStart = parseCount('seed-start', value, 0); break;
+      case '--ticks': opts.ticks = parseCount('ticks', value, 1); break;
+      case '--out': opts.out = value; break;
+      default: throw new Error('unknown option ' + flag);
+    }
+  }
+  if(opts.interval.some(v => v <= 0)) throw new Error('--interval values must be positive');
+  if(opts.doubling.some(v => v < 1)) throw new Error('--doubling values must be at least 1');
+  normalizePK({model: opts.pk});
+  if(!DRUG_PRESETS[opts.drugs]) throw new Error('--drugs expects one of ' + Object.keys(DRUG_PRESETS).join(', ') + ', got "' + opts.drugs + '"');
+  if(!['off', 'on', 'checkpoint'].includes(opts.immune)) throw new Error('--immune expects off, on or checkpoint, got "' + opts.immune + '"');
+  return opts;
+}
+
+// dosing schedule for one parameter combination: every interval ticks, optionally with a loading dose
+function scheduleFor(params){
+  if(params.loading) return {type: 'loading', start: params.firstDose, every: params.interval, loadingAmount: params.loading, maintenanceAmount: params.dose};
+  return {type: 'interval', start: params.firstDose, every: params.interval, amount: params.dose};
+}
+
+// the regimen's drugs; every drug after the first is given on the same interval at its own dose amount
+function drugsFor(params){
+  return DRUG_PRESETS[params.drugs].map((d, i) => i === 0 ? d :
+    Object.assign({}, d, {schedule: {type: 'interval', start: params.firstDose, every: params.interval, amount: d.amount || 10}}));
+}
+
+// run one simulation and summarize it
+function runOne(params, ticks){
+  const sim = new Simulation({
+    startAmount: params.radius,
+    cycle: {doublingTime: params.doubling},
+    drugAmount: params.dose,
+    seed: params.seed,
+    schedule: scheduleFor(params),
+    pk: {model: params.pk},
+    immune: {enabled: params.immune !== 'off', checkpointInhibitor: params.immune === 'checkpoint'},
+    drugs: drugsFor(params),
+    timeline: {capacity: 0}, // nothing to rewind in a batch run
+  });
+  sim.seed();
+  let peakParticles = 0;
+  let eradicatedAt = null;
+  for(let t=0; t<ticks; t++){
+    sim.step();
+    peakParticles = Math.max(peakParticles, sim.particles.length);
+    if(eradicatedAt === null && sim.tumorCellCount() === 0) eradicatedAt = sim.tick;
+  }
+  const toxicity = sim.toxicitySummary();
+  const doses = sim.deliverySummary();
+  const spawned = doses.reduce((a, d) => a + d.spawned, 0);
+  return {
+    finalTumorCells: sim.tumorCellCount(),
+    timeToEradication: eradicatedAt,
+    peakParticles,
+    tumorKills: sim.kills.length,
+    healthyDead: toxicity.dead,
+    healthyViability: toxicity.meanViability,
+    immuneKills: sim.killSummary().immune,
+    tissueFraction: spawned > 0 ? doses.reduce((a, d) => a + d.extravasated, 0) / spawned : 0,
+  };
+}
+
+// every combination x seed, in a stable order; onRow is called after each run
+function runSweep(opts, onRow){
+  const rows = [];
+  for(const radius of opts.radius)
+    for(const doubling of opts.doubling)
+      for(const dose of opts.dose)
+        for(const interval of opts.interval)
+          for(let s=0; s<opts.seeds; s++){
+            const params = {radius, doubling, dose, interval, firstDose: opts.firstDose, loading: opts.loading, pk: opts.pk, immune: opts.immune, drugs: opts.drugs, seed: opts.seedStart + s};
+            const result = runOne(params, opts.ticks);
+            const row = [radius, doubling, dose, interval, params.seed, opts.ticks,
+              result.finalTumorCells, result.timeToEradication === null ? '' : result.timeToEradication, result.peakParticles,
+              result.tumorKills, result.healthyDead, result.healthyViability.toFixed(3), result.tissueFraction.toFixed(3), result.immuneKills];
+            rows.push(row);
+            if(onRow) onRow(row, rows.length);
+          }
+  return rows;
+}
+
+function toCsv(rows){
+  return [CSV_COLUMNS].concat(rows).map(r => r.join(',')).join('\n') + '\n';
+}
+
+function main(){
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch(err){
+    console.error(err.message);
+    console.error(usage());
+    process.exit(1);
+  }
+  if(opts.help){ console.log(usage()); return; }
+  const total = opts.radius.length * opts.doubling.length * opts.dose.length * opts.interval.length * opts.seeds;
+  const rows = runSweep(opts, (row, n) => {
+    if(opts.out) process.stderr.write('\rrun ' + n + '/' + total);
+  });
+  if(opts.out){
+    fs.writeFileSync(opts.out, toCsv(rows));
+    process.stderr.write('\nwrote ' + rows.length + ' rows to ' + opts.out + '\n');
+  } else {
+    process.stdout.write(toCsv(rows));
+  }
+}
+
+if(require.main === module) main();
+
+module.exports = { parseArgs, scheduleFor, drugsFor, runOne, runSweep, toCsv, CSV_COLUMNS };
@@ -0,0 +1,148 @@
+// Cancer Simulator - model tests (Node's built-in runner: node --test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, DRUG_PRESETS, loadScenario, migrateScenario } = require('../simulation.js');
+
+// every living cancer cell's receptor and occupancy counts, checked after each tick
+function assertReceptorsNonNegative(sim, ticks){
+  for(let t=0; t<ticks; t++){
+    sim.step();
+    for(const c of sim.cells){
+      if(c.state !== 1) continue;
+      for(const key of ['occupiedA', 'occupiedB', 'receptorsA', 'receptorsB']){
+        assert.ok(c[key] >= 0, key + ' of a cancer cell is ' + c[key] + ' at tick ' + sim.tick);
+      }
+    }
+  }
+}
+
+test('compounds of a killed cell do not carry over to a daughter dividing into its slot', () => {
+  for(let seed=1; seed<=3; seed++){
+    const sim = new Simulation({seed, startAmount: 100, cycle: {doublingTime: 60}, schedule: {type: 'interval', start: 0, every: 30, amount: 60}});
+    sim.seed();
+    assertReceptorsNonNegative(sim, 300);
+  }
+});
+
+test('ADCC kills release the other compounds bound to the cell and add no immune signal', () => {
+  // the naked antibody is the only killer: no payload kills
+  const drugs = DRUG_PRESETS['adc-antibody'].map((d, i) => i === 0 ? d :
+    Object.assign({}, d, {adccRate: 0.05, schedule: {type: 'interval', start: 0, every: 30, amount: 60}}));
+  for(let seed=1; seed<=3; seed++){
+    const sim = new Simulation({seed, startAmount: 100, cycle: {doublingTime: 60}, payload: {maxKill: 0}, drugs});
+    sim.seed();
+    assertReceptorsNonNegative(sim, 300);
+    assert.ok(sim.killSummary().byCause['antibody-adcc'] > 0, 'no ADCC kills to check');
+    assert.strictEqual(sim.icdSignal, 0, 'ADCC kills are not immunogenic');
+  }
+});
+
+test('cancer cells overgrown by a sprout are recorded as kills', () => {
+  for(let seed=1; seed<=2; seed++){
+    const sim = new Simulation({seed, startAmount: 400, cycle: {doublingTime: 100}, oxygen: {hypoxiaThreshold: 0.9},
+      angiogenesis: {threshold: 50, sproutRate: 0.1, growthSpeed: 2}});
+    sim.seed();
+    let overgrown = 0;
+    for(let t=0; t<300; t++){
+      const cancer = sim.cells.map(c => c.state === 1), vessel = sim.vesselCells;
+      sim.step();
+      for(let i=0; i<cancer.length; i++) if(cancer[i] && !vessel[i] && sim.vesselCells[i]) overgrown++;
+    }
+    assert.ok(overgrown > 0, 'no cancer cells overgrown to check');
+    assert.strictEqual(sim.killSummary().byCause['vessel-sprout'], overgrown);
+  }
+});
+
+// the parts of a run that must match when it is replayed
+function runState(sim){
+  return JSON.stringify([sim.tick, sim.config, sim.cells, sim.particles, sim.kills, sim.rng.state(),
+    sim.deliveries.map(d => [d.tick, d.drugIdx, d.amount, d.spawned, d.extravasated])]);
+}
+
+// 150 ticks of a scheduled run with two doses given by hand and settings edited mid-run: the schedule
+// goes from every 40 to every 25 ticks at tick 100
+function runWithHandInputs(){
+  const sim = new Simulation({seed: 4, startAmount: 20, schedule: {type: 'interval', start: 0, every: 40, amount: 20}});
+  sim.seed();
+  for(let t=0; t<150; t++){
+    if(sim.tick === 40) sim.dose(15);
+    if(sim.tick === 60) sim.setBinding({offRate: 0.02});
+    if(sim.tick === 100){ sim.dose(25); sim.setSchedule({type: 'interval', start: 0, every: 25, amount: 20}); }
+    if(sim.tick === 120) sim.setDrugAmount(40);
+    sim.step();
+  }
+  return sim;
+}
+
+test('a scenario without a snapshot replays the doses given and settings changed by hand', () => {
+  const original = runWithHandInputs();
+  const sim = loadScenario(JSON.parse(JSON.stringify(original.exportScenario(false))));
+  assert.strictEqual(sim.tick, 0);
+  for(let t=0; t<150; t++) sim.step();
+  assert.deepStrictEqual(sim.deliveries.filter(d => d.scheduled).map(d => d.tick), [0, 40, 80, 100, 125]);
+  assert.strictEqual(runState(sim), runState(original));
+  // saving the replayed run keeps its inputs
+  assert.deepStrictEqual(sim.exportScenario(false).inputs, original.exportScenario(false).inputs);
+});
+
+test('a scenario with a snapshot continues with the settings in force when it was saved', () => {
+  const original = runWithHandInputs();
+  const sim = loadScenario(JSON.parse(JSON.stringify(original.exportScenario(true))));
+  assert.strictEqual(runState(sim), runState(original));
+  for(let t=0; t<30; t++){ sim.step(); original.step(); }
+  assert.strictEqual(runState(sim), runState(original));
+});
+
+test('version 1 scenarios are upgraded to inputs', () => {
+  const scenario = migrateScenario({format: 'cancer-simulator-scenario', version: 1, config: {seed: 1}, doses: [{tick: 5, drug: 1, amount: 10}]});
+  assert.strictEqual(scenario.version, 2);
+  assert.deepStrictEqual(scenario.inputs, [{tick: 5, type: 'dose', drug: 1, amount: 10}]);
+});
+
+test('an exported kill ledger opens as a scenario at tick 0 of its run', () => {
+  const original = runWithHandInputs();
+  const ledger = JSON.parse(JSON.stringify(original.exportKillLedger()));
+  const sim = loadScenario(ledger);
+  for(let t=0; t<ledger.tick; t++) sim.step();
+  assert.deepStrictEqual(sim.kills, ledger.kills);
+  assert.strictEqual(runState(sim), runState(original));
+});
+
+test('rewinding to a tick gives the state the run had at that tick', () => {
+  const sim = new Simulation({seed: 4, startAmount: 20, schedule: {type: 'interval', start: 0, every: 40, amount: 20}});
+  sim.seed();
+  const states = [];
+  for(let t=0; t<150; t++){
+    if(sim.tick === 40) sim.dose(15);
+    if(sim.tick === 100){ sim.dose(25); sim.setSchedule({type: 'interval', start: 0, every: 25, amount: 20}); }
+    if(sim.tick === 105) sim.setBinding({offRate: 0.02});
+    states.push(runState(sim));
+    sim.step();
+  }
+  states.push(runState(sim));
+  for(const tick of [150, 30, 99, 100, 103, 105, 127, 0]){
+    assert.ok(sim.rewind(tick));
+    assert.strictEqual(runState(sim), states[tick], 'rewound to tick ' + tick);
+  }
+});
+
+test('changing a setting at a rewound tick starts a new branch', () => {
+  const sim = new Simulation({seed: 4, startAmount: 20, schedule: {type: 'interval', start: 0, every: 40, amount: 20}});
+  sim.seed();
+  for(let t=0; t<150; t++) sim.step();
+  sim.rewind(96);
+  sim.setSchedule({type: 'interval', start: 0, every: 25, amount: 20});
+  assert.strictEqual(sim.branch, null);
+  assert.strictEqual(sim.ghost.fromTick, 96);
+  // the old ticks 96..150 are the ghost now, not the road forward
+  sim.rewind(150);
+  assert.strictEqual(sim.tick, 96);
+  assert.deepStrictEqual(sim.config.schedule, {type: 'interval', start: 0, every: 25, amount: 20, count: 0});
+});
+
+test('files that are not a known scenario or ledger version are refused', () => {
+  const ledger = new Simulation({seed: 1}).exportKillLedger();
+  assert.throws(() => migrateScenario({config: {}, kills: []}), /not a scenario file/);
+  assert.throws(() => migrateScenario(Object.assign({}, ledger, {version: 99})), /newer than this simulator/);
+  assert.throws(() => migrateScenario({format: 'cancer-simulator-scenario', version: 99, config: {}}), /newer than this simulator/);
+});